@@ -11,16 +11,62 @@
 
 class FujiGrainApp {
     constructor() {
-        this.validator = new FileValidator();
+        this.colorManager = new ColorManager();
+        this.validator = new FileValidator({ decoder: new ImageDecoder(this.colorManager) });
         this.exifReader = new ExifReader();
         this.grainProcessor = new GrainProcessor();
         this.lutProcessor = new LUTProcessor();
+        this.settingsStore = new SettingsStore();
+        this.presetManager = new PresetManager(this.settingsStore);
+        this.imagePipeline = new ImagePipeline(this.grainProcessor, this.lutProcessor);
+        this.processingEngine = new ProcessingEngine(this.imagePipeline);
+        this.previewEngine = new ProcessingEngine(this.imagePipeline);
+        this.detailEngine = new ProcessingEngine(this.imagePipeline);
+        this.imageExporter = new ImageExporter(this.colorManager);
+        this.rawDecoder = new RawDecoder();
+        this.batchProcessor = new BatchProcessor(
+            this.validator, new ProcessingEngine(this.imagePipeline), this.rawDecoder, this.imageExporter, this.exifReader
+        );
+        this.lutGallery = new LUTGallery(this.lutProcessor, {
+            container: document.getElementById('lutGallery'),
+            filters: document.getElementById('lutTagFilters'),
+            info: document.getElementById('lutGalleryInfo')
+        }, (lutId) => this.selectLUT(lutId));
+        this.comparisonView = new ComparisonView({
+            container: document.getElementById('imageComparison'),
+            original: document.getElementById('originalImage'),
+            processed: document.getElementById('processedCanvas'),
+            toolbar: document.getElementById('comparisonToolbar'),
+            zoomLabel: document.getElementById('comparisonZoomLabel')
+        }, () => {
+            // Processed view changed size, rebuild the preview proxy for it
+            this.previewSource = null;
+            if (!this.isProcessedCurrent()) this.schedulePreview();
+        }, () => this.scheduleDetailRender());
         
         this.originalImage = null;
         this.processedCanvas = null;
+        this.processedSettingsKey = null;
+        this.previewSource = null;
+        this.previewMaxSize = 1600;
+        this.previewDelay = 120;
+        this.previewTimer = null;
+        this.previewId = 0;
+        this.detailTimer = null;
+        this.detailId = 0;
+        this.persistTimer = null;
         this.currentSettings = {};
         this.currentFile = null;
+        this.originalExif = null;
+        this.rawImage = null;
+        this.rawAdjustments = null;
+        this.rawDevelopTimer = null;
+        this.tiffImage = null;
+        this.rawDevelopId = 0;
+        this.exportOptions = { format: 'jpeg', quality: 0.95, colorSpace: 'srgb', longEdge: 0, template: '{name}_{lut}', keepMetadata: true, embedRecipe: true };
+        this.pendingRecipe = null;
         this.availableLUTs = [];
+        this.renderId = 0;
         
         this.initializeApp();
     }
@@ -28,8 +74,61 @@ class FujiGrainApp {
     initializeApp() {
         console.log('🚀 Initializing Fujifilm Grain Simulator...');
         this.initializeEventListeners();
-        this.loadAvailableLUTs();
         this.initializeSettings();
+        this.loadAvailableLUTs().then(() => this.restoreSession());
+    }
+
+    /**
+     * Restore user presets, saved LUTs and last-used settings from IndexedDB
+     */
+    async restoreSession() {
+        try {
+            await this.presetManager.loadUserPresets();
+            this.populatePresetDropdown();
+
+            const storedLUTs = await this.settingsStore.getLUTs();
+            storedLUTs.forEach(record => {
+                this.lutProcessor.registerUserLUT(record.id, record.data, record.name, record.fileName);
+            });
+            await this.refreshLUTList();
+
+            const saved = await this.settingsStore.getSettings();
+            if (saved && saved.exportOptions) {
+                this.exportOptions = { ...this.exportOptions, ...saved.exportOptions };
+            }
+            if (!saved || !saved.settings) return;
+
+            // Sessions saved with the old single 'custom' slot
+            const settings = { ...saved.settings };
+            if (settings.selectedLUT === 'custom') {
+                settings.selectedLUT = saved.customLUTId || 'none';
+            }
+
+            // Sessions saved before grainModeAuto: only the default mode still follows the LUT
+            if (settings.grainModeAuto === undefined) {
+                settings.grainModeAuto = settings.grainMode === this.getDefaultSettings().grainMode;
+            }
+
+            this.applySettings(settings);
+            console.log('♻️ Last session settings restored');
+
+        } catch (error) {
+            console.warn('⚠️ Failed to restore last session:', error);
+        }
+    }
+
+    /**
+     * Save last-used settings (debounced, sliders fire many events)
+     */
+    persistSettings() {
+        clearTimeout(this.persistTimer);
+        this.persistTimer = setTimeout(() => {
+            this.settingsStore.saveSettings({
+                settings: this.currentSettings,
+                exportOptions: this.exportOptions,
+                savedAt: Date.now()
+            }).catch(error => console.warn('⚠️ Failed to save settings:', error));
+        }, 500);
     }
 
     initializeEventListeners() {
@@ -58,14 +157,81 @@ class FujiGrainApp {
             document.getElementById('grainSizeValue').textContent = e.target.value;
             this.updateSetting('grainSize', parseFloat(e.target.value));
         });
+
+        document.getElementById('grainModeSelect').addEventListener('change', (e) => {
+            // Picked by hand, LUT changes keep it from now on
+            this.currentSettings.grainModeAuto = false;
+            this.setGrainMode(e.target.value);
+        });
+
+        // Chroma grain sliders: [sliderId, valueId, settingKey]
+        [
+            ['grainCorrelationSlider', 'grainCorrelationValue', 'grainCorrelation'],
+            ['grainRedSlider', 'grainRedValue', 'grainRed'],
+            ['grainGreenSlider', 'grainGreenValue', 'grainGreen'],
+            ['grainBlueSlider', 'grainBlueValue', 'grainBlue']
+        ].forEach(([sliderId, valueId, key]) => {
+            document.getElementById(sliderId).addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                document.getElementById(valueId).textContent = value.toFixed(2);
+                this.updateSetting(key, value);
+            });
+        });
+
+        document.getElementById('seedInput').addEventListener('change', (e) => {
+            this.setSeed(e.target.value);
+        });
+
+        document.getElementById('rerollSeedBtn').addEventListener('click', () => {
+            this.setSeed(SeededRandom.randomSeed());
+        });
         
+        // Film presets
+        document.getElementById('presetSelect').addEventListener('change', (e) => {
+            this.applyPreset(e.target.value);
+        });
+
+        document.getElementById('savePresetBtn').addEventListener('click', () => {
+            this.saveCurrentAsPreset();
+        });
+
+        document.getElementById('deletePresetBtn').addEventListener('click', () => {
+            this.deleteSelectedPreset();
+        });
+
         // LUT controls
         document.getElementById('lutSelect').addEventListener('change', (e) => {
             this.handleLUTSelection(e.target.value);
         });
 
+        // Accept every format known to the LUT registry
+        document.getElementById('lutFileInput').accept = this.lutProcessor.getAcceptedExtensions();
         document.getElementById('lutFileInput').addEventListener('change', (e) => {
-            this.handleCustomLUTUpload(e.target.files[0]);
+            this.handleCustomLUTUpload(Array.from(e.target.files));
+        });
+
+        document.getElementById('myLutsList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.handleMyLUTAction(button.dataset.action, button.dataset.id);
+            }
+        });
+
+        document.getElementById('rawWhiteBalanceSelect').addEventListener('change', (e) => {
+            this.updateRawAdjustment('whiteBalance', e.target.value);
+        });
+
+        document.getElementById('rawExposureSlider').addEventListener('input', (e) => {
+            document.getElementById('rawExposureValue').textContent = parseFloat(e.target.value).toFixed(1);
+            this.updateRawAdjustment('exposure', parseFloat(e.target.value));
+        });
+
+        document.getElementById('rawAutoExposureBtn').addEventListener('click', () => {
+            if (!this.rawImage) return;
+
+            const gains = RawDecoder.getWhiteBalanceGains(this.rawImage, this.rawAdjustments.whiteBalance);
+            this.updateRawAdjustment('exposure', RawDecoder.getAutoExposure(this.rawImage, gains));
+            this.updateRawControls();
         });
 
         document.getElementById('lutStrengthSlider').addEventListener('input', (e) => {
@@ -77,6 +243,36 @@ class FujiGrainApp {
             this.updateSetting('applyLUT', e.target.checked);
         });
 
+        document.getElementById('lutInterpolationSelect').addEventListener('change', (e) => {
+            this.updateSetting('lutInterpolation', e.target.value);
+        });
+
+        // Precision
+        document.getElementById('highPrecisionToggle').addEventListener('change', (e) => {
+            this.updateSetting('highPrecision', e.target.checked);
+        });
+
+        document.getElementById('ditherToggle').addEventListener('change', (e) => {
+            this.updateSetting('dither', e.target.checked);
+        });
+
+        // Look export
+        document.getElementById('exportLookFormat').addEventListener('change', (e) => {
+            document.getElementById('exportLookSize').disabled = e.target.value !== 'cube';
+        });
+
+        document.getElementById('exportLookBtn').addEventListener('click', () => {
+            this.exportLook();
+        });
+
+        // Pipeline order (up/down buttons are rendered dynamically)
+        document.getElementById('pipelineOrderList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-direction]');
+            if (button) {
+                this.moveStage(button.dataset.stage, parseInt(button.dataset.direction, 10));
+            }
+        });
+
         // Action buttons
         document.getElementById('applyGrainBtn').addEventListener('click', () => {
             this.applyGrain();
@@ -87,8 +283,93 @@ class FujiGrainApp {
         });
 
         document.getElementById('downloadBtn').addEventListener('click', () => {
+            this.openExportDialog();
+        });
+
+        // Export dialog
+        ['exportFormat', 'exportQuality', 'exportColorSpace', 'exportFileName'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateExportDialog());
+        });
+
+        document.getElementById('exportConfirmBtn').addEventListener('click', () => {
             this.downloadResult();
         });
+
+        // Recipe from a previously exported photo
+        document.getElementById('restoreRecipeBtn').addEventListener('click', () => {
+            this.restoreRecipe();
+        });
+
+        document.getElementById('dismissRecipeBtn').addEventListener('click', () => {
+            this.showRecipeNotice(null);
+        });
+
+        document.getElementById('cancelProcessingBtn').addEventListener('click', () => {
+            this.processingEngine.cancel();
+        });
+
+        // Live preview
+        document.getElementById('livePreviewToggle').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.schedulePreview();
+            } else {
+                this.cancelPreview();
+                if (this.processedCanvas) {
+                    this.displayProcessedImage();
+                } else if (this.originalImage) {
+                    this.displayOriginalImage(this.originalImage);
+                }
+            }
+        });
+
+        // Batch processing
+        document.getElementById('batchFileInput').addEventListener('change', (e) => {
+            this.addBatchFiles(e.target.files);
+            e.target.value = '';
+        });
+
+        document.getElementById('batchFolderInput').addEventListener('change', (e) => {
+            this.addBatchFiles(e.target.files);
+            e.target.value = '';
+        });
+
+        document.getElementById('batchFolderBtn').addEventListener('click', () => {
+            this.pickBatchFolder();
+        });
+
+        const dropZone = document.getElementById('batchDropZone');
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            this.addBatchFiles(e.dataTransfer.files);
+        });
+
+        document.getElementById('batchStartBtn').addEventListener('click', () => {
+            this.startBatch();
+        });
+
+        document.getElementById('batchCancelBtn').addEventListener('click', () => {
+            this.batchProcessor.cancel();
+        });
+
+        document.getElementById('batchZipBtn').addEventListener('click', () => {
+            this.downloadBatchZip();
+        });
+
+        document.getElementById('batchClearBtn').addEventListener('click', () => {
+            this.batchProcessor.clear();
+            this.renderBatchQueue();
+        });
+
+        window.addEventListener('resize', () => {
+            // Proxy mengikuti ukuran layar, buat ulang saat preview berikutnya
+            this.previewSource = null;
+        });
     }
 
     initializeSettings() {
@@ -96,19 +377,40 @@ class FujiGrainApp {
             iso: document.getElementById('isoSelect').value,
             strength: parseFloat(document.getElementById('strengthSlider').value),
             grainSize: parseFloat(document.getElementById('grainSizeSlider').value),
+            grainMode: document.getElementById('grainModeSelect').value,
+            grainModeAuto: true,
+            grainCorrelation: parseFloat(document.getElementById('grainCorrelationSlider').value),
+            grainRed: parseFloat(document.getElementById('grainRedSlider').value),
+            grainGreen: parseFloat(document.getElementById('grainGreenSlider').value),
+            grainBlue: parseFloat(document.getElementById('grainBlueSlider').value),
+            seed: SeededRandom.normalizeSeed(document.getElementById('seedInput').value),
             selectedLUT: 'none',
             lutStrength: 1.0,
-            applyLUT: true
+            lutInterpolation: 'tetrahedral',
+            applyLUT: true,
+            pipeline: this.imagePipeline.normalizeOrder(ImagePipeline.DEFAULT_ORDER),
+            highPrecision: document.getElementById('highPrecisionToggle').checked,
+            dither: document.getElementById('ditherToggle').checked
         };
+        this.renderPipelineOrder();
         console.log('⚙️ Settings initialized:', this.currentSettings);
     }
 
+    async refreshLUTList() {
+        this.availableLUTs = await this.lutProcessor.getAvailableLUTs();
+        this.populateLUTDropdown();
+        await this.renderMyLUTs();
+    }
+
     async loadAvailableLUTs() {
         try {
             console.log('🎨 Loading available LUTs...');
             this.availableLUTs = await this.lutProcessor.getAvailableLUTs();
             this.populateLUTDropdown();
             console.log('✅ Available LUTs loaded:', this.availableLUTs.length, 'LUTs found');
+
+            this.presetManager.setBuiltInPresets(this.lutProcessor.getManifestPresets());
+            this.populatePresetDropdown();
         } catch (error) {
             console.error('❌ Failed to load LUT list:', error);
         }
@@ -120,47 +422,545 @@ class FujiGrainApp {
 		// Create a new option set
 		const newOptions = [
 			// Static options
-			{ value: 'none', text: 'No LUT (Original Colors)', selected: true },
-			{ value: 'custom', text: 'Custom LUT...' }
+			{ value: 'none', text: 'No LUT (Original Colors)' },
+			{ value: 'custom', text: 'Upload LUT Files...' }
 		];
 		
-		// Add dynamic LUTs
+		// Add dynamic LUTs (user LUTs get their own group)
+		const userOptions = [];
 		this.availableLUTs.forEach(lut => {
-			newOptions.push({
+			const target = lut.source === 'user' ? userOptions : newOptions;
+			target.push({
 				value: lut.id,
 				text: lut.displayName
 			});
 		});
 		
-		// Clear and rebuild dropdown
-		lutSelect.innerHTML = '';
-		newOptions.forEach(opt => {
+		const createOption = (opt) => {
 			const option = document.createElement('option');
 			option.value = opt.value;
 			option.textContent = opt.text;
-			if (opt.selected) option.selected = true;
-			lutSelect.appendChild(option);
-		});
+			return option;
+		};
+		
+		// Clear and rebuild dropdown
+		lutSelect.innerHTML = '';
+		newOptions.forEach(opt => lutSelect.appendChild(createOption(opt)));
+		
+		if (userOptions.length > 0) {
+			const group = document.createElement('optgroup');
+			group.label = 'My LUTs';
+			userOptions.forEach(opt => group.appendChild(createOption(opt)));
+			lutSelect.appendChild(group);
+		}
+		
+		// Keep the current selection when it still exists
+		const selected = this.currentSettings.selectedLUT || 'none';
+		lutSelect.value = selected;
+		if (lutSelect.value !== selected) {
+			lutSelect.value = 'none';
+		}
+		
+		this.lutGallery.setLUTs(this.availableLUTs);
+		this.lutGallery.setSelected(lutSelect.value);
 		
-		console.log(`📋 LUT dropdown rebuilt with ${this.availableLUTs.length} LUTs + static options`);
+		console.log(`📋 LUT dropdown rebuilt with ${this.availableLUTs.length} LUTs (${userOptions.length} user) + static options`);
 	}
 
+    populatePresetDropdown(selectedId = '') {
+        const presetSelect = document.getElementById('presetSelect');
+        const groups = [
+            { label: 'Fujifilm Film Stocks', source: 'builtin' },
+            { label: 'My Presets', source: 'user' }
+        ];
+
+        presetSelect.innerHTML = '<option value="">Choose a film stock...</option>';
+        groups.forEach(group => {
+            const presets = this.presetManager.getPresets().filter(preset => preset.source === group.source);
+            if (presets.length === 0) return;
+
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                if (preset.description) option.title = preset.description;
+                optgroup.appendChild(option);
+            });
+            presetSelect.appendChild(optgroup);
+        });
+
+        presetSelect.value = selectedId;
+        this.updatePresetButtons();
+
+        // Batch uses the same preset list, plus "Current settings"
+        const batchSelect = document.getElementById('batchPresetSelect');
+        const batchValue = batchSelect.value;
+        batchSelect.innerHTML = '<option value="">Current settings</option>';
+        presetSelect.querySelectorAll('optgroup').forEach(group => {
+            batchSelect.appendChild(group.cloneNode(true));
+        });
+        batchSelect.value = this.presetManager.getPreset(batchValue) ? batchValue : '';
+    }
+
+    updatePresetButtons() {
+        const preset = this.presetManager.getPreset(document.getElementById('presetSelect').value);
+        document.getElementById('deletePresetBtn').disabled = !preset || preset.source !== 'user';
+    }
+
+    applyPreset(presetId) {
+        this.updatePresetButtons();
+
+        const preset = this.presetManager.getPreset(presetId);
+        if (!preset) return;
+
+        console.log('🎞️ Applying preset:', preset.name);
+        this.applySettings(this.presetManager.toSettings(preset));
+    }
+
+    async saveCurrentAsPreset() {
+        const name = prompt('Preset name:');
+        if (!name || !name.trim()) return;
+
+        const preset = await this.presetManager.saveUserPreset(name, this.currentSettings);
+        this.populatePresetDropdown(preset.id);
+        this.showSuccess(`Preset "${preset.name}" saved!`);
+    }
+
+    async deleteSelectedPreset() {
+        const preset = this.presetManager.getPreset(document.getElementById('presetSelect').value);
+        if (!preset || preset.source !== 'user') return;
+        if (!confirm(`Delete preset "${preset.name}"?`)) return;
+
+        await this.presetManager.deleteUserPreset(preset.id);
+        this.populatePresetDropdown();
+        this.showSuccess(`Preset "${preset.name}" deleted`);
+    }
+
+    /**
+     * Select a LUT from the gallery (the hidden lutSelect stays the source of truth)
+     */
+    selectLUT(lutId) {
+        document.getElementById('lutSelect').value = lutId;
+        this.handleLUTSelection(lutId);
+    }
+
     handleLUTSelection(lutName) {
         const customUpload = document.getElementById('customLutUpload');
-        customUpload.style.display = lutName === 'custom' ? 'block' : 'none';
+
+        // "Upload LUT Files..." is an action, not a LUT - keep the current LUT selected
+        if (lutName === 'custom') {
+            customUpload.style.display = 'block';
+            document.getElementById('lutSelect').value = this.currentSettings.selectedLUT || 'none';
+            return;
+        }
+
+        customUpload.style.display = 'none';
+        this.applyDefaultGrainMode(lutName);
         this.updateSetting('selectedLUT', lutName);
+        this.lutGallery.setSelected(lutName);
+        this.prefetchAdjacentLUTs(lutName);
     }
 
-    async handleCustomLUTUpload(file) {
-        if (!file) return;
+    /**
+     * Load the LUTs next to the selected one in the dropdown, so browsing with the arrow keys is instant
+     */
+    prefetchAdjacentLUTs(lutName) {
+        const ids = Array.from(document.getElementById('lutSelect').options)
+            .map(option => option.value)
+            .filter(value => value !== 'none' && value !== 'custom');
+        const index = ids.indexOf(lutName);
+        if (index === -1) return;
+
+        this.lutProcessor.prefetchLUTs([ids[index + 1], ids[index - 1]].filter(Boolean));
+    }
+
+    /**
+     * Monochrome LUTs get monochromatic grain, color LUTs get dye-cloud chroma grain,
+     * unless the mode was set explicitly (by hand, a preset or a recipe)
+     */
+    applyDefaultGrainMode(lutName) {
+        if (!this.currentSettings.grainModeAuto) return;
+
+        const lut = this.availableLUTs.find(item => item.id === lutName);
+
+        // Category of user LUTs is unknown, keep whatever the user picked
+        if (lut && lut.source === 'user') return;
+
+        const mode = lut && lut.category !== 'monochrome' ? 'chroma' : 'mono';
+
+        if (mode !== this.currentSettings.grainMode) {
+            console.log(`🎞️ Grain mode defaulted to ${mode} for LUT:`, lutName);
+            this.setGrainMode(mode);
+        }
+    }
+
+    setGrainMode(mode) {
+        document.getElementById('grainModeSelect').value = mode;
+        document.getElementById('chromaGrainControls').style.display = mode === 'chroma' ? 'block' : 'none';
+        this.updateSetting('grainMode', mode);
+    }
+
+    async handleCustomLUTUpload(files) {
+        if (!files || files.length === 0) return;
+
+        const uploaded = [];
+        const failed = [];
+
+        try {
+            this.showLoading(true);
+
+            for (const [index, file] of files.entries()) {
+                try {
+                    const lutData = await this.lutProcessor.loadCustomLUT(file);
+                    const record = await this.saveUploadedLUT(file, lutData, index);
+                    this.lutProcessor.registerUserLUT(record.id, record.data, record.name, record.fileName);
+                    uploaded.push(record);
+                } catch (error) {
+                    console.error('❌ Failed to load LUT:', file.name, error);
+                    failed.push(`${file.name}: ${this.describeLUTError(error)}`);
+                }
+            }
+
+            await this.refreshLUTList();
+
+            if (uploaded.length > 0) {
+                console.log('✅ Custom LUTs loaded:', uploaded.map(record => record.name));
+                this.showSuccess(`${uploaded.length} LUT${uploaded.length > 1 ? 's' : ''} added to My LUTs!`);
+
+                // Select the last uploaded LUT
+                this.selectLUT(uploaded[uploaded.length - 1].id);
+            }
+
+            if (failed.length > 0) {
+                this.showError('Failed to load LUT: ' + failed.join('; '));
+            }
+        } finally {
+            document.getElementById('lutFileInput').value = '';
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Short, line-numbered reason for a rejected LUT file
+     */
+    describeLUTError(error) {
+        if (!(error instanceof LUTParseError)) {
+            return error.message;
+        }
+
+        const shown = error.errors.slice(0, 3).map(item =>
+            item.line ? `line ${item.line}: ${item.message}` : item.message
+        );
+        const hidden = error.errors.length - shown.length;
+
+        return shown.join('; ') + (hidden > 0 ? ` (+${hidden} more)` : '');
+    }
+
+    /**
+     * Save an uploaded LUT, named by its TITLE or file name
+     */
+    async saveUploadedLUT(file, lutData, index = 0) {
+        const hasTitle = lutData.title && lutData.title !== 'Unknown LUT';
+        const record = {
+            id: `lut_${Date.now()}_${index}`,
+            name: hasTitle ? lutData.title : file.name.replace(/\.[^.]+$/, ''),
+            fileName: file.name,
+            size: lutData.size,
+            data: lutData,
+            createdAt: Date.now()
+        };
+
+        await this.settingsStore.saveLUT(record);
+        return record;
+    }
+
+    async renderMyLUTs() {
+        const luts = await this.settingsStore.getLUTs();
+        const list = document.getElementById('myLutsList');
+
+        list.innerHTML = '';
+        luts.forEach(lut => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center px-0';
+
+            const label = document.createElement('span');
+            label.className = 'text-truncate me-2';
+            label.textContent = lut.name;
+            label.title = lut.size ? `${lut.fileName} (${lut.size}³)` : `${lut.fileName} (1D)`;
+
+            const actions = document.createElement('span');
+            actions.className = 'btn-group btn-group-sm flex-shrink-0';
+            actions.innerHTML = `
+                <button type="button" class="btn btn-outline-primary" data-action="use" data-id="${lut.id}" title="Use">
+                    <i class="fas fa-check"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary" data-action="rename" data-id="${lut.id}" title="Rename">
+                    <i class="fas fa-pen"></i>
+                </button>
+                <button type="button" class="btn btn-outline-danger" data-action="delete" data-id="${lut.id}" title="Delete">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+
+            item.appendChild(label);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+
+        document.getElementById('myLutsCount').textContent = luts.length;
+        document.getElementById('myLutsEmpty').classList.toggle('d-none', luts.length > 0);
+    }
+
+    async handleMyLUTAction(action, lutId) {
+        try {
+            const record = await this.settingsStore.getLUT(lutId);
+            if (!record) return;
+
+            if (action === 'use') {
+                this.selectLUT(lutId);
+                this.showSuccess(`Using LUT "${record.name}"`);
+
+            } else if (action === 'rename') {
+                const name = prompt('New LUT name:', record.name);
+                if (!name || !name.trim()) return;
+
+                await this.settingsStore.renameLUT(lutId, name.trim());
+                this.lutProcessor.renameUserLUT(lutId, name.trim());
+
+            } else if (action === 'delete') {
+                if (!confirm(`Delete LUT "${record.name}"?`)) return;
+
+                await this.settingsStore.deleteLUT(lutId);
+                this.lutProcessor.removeLUT(lutId);
+
+                if (lutId === this.currentSettings.selectedLUT) {
+                    this.handleLUTSelection('none');
+                }
+            }
+
+            await this.refreshLUTList();
+
+        } catch (error) {
+            console.error('❌ LUT library action failed:', error);
+            this.showError('LUT library error: ' + error.message);
+        }
+    }
+
+    /**
+     * Bake the active color transform into a .cube or Hald CLUT file
+     */
+    async exportLook() {
+        const format = document.getElementById('exportLookFormat').value;
+        const size = parseInt(document.getElementById('exportLookSize').value, 10);
+        const settings = this.currentSettings;
+
+        try {
+            let blob;
+            let fileName;
+            const lutInfo = this.availableLUTs.find(lut => lut.id === settings.selectedLUT);
+            const lookName = lutInfo ? lutInfo.displayName : 'Look';
+            const baseName = `fuji-grain-${lutInfo ? lutInfo.id : 'look'}`;
+
+            if (format === 'hald-identity') {
+                blob = await this.imageDataToBlob(this.lutProcessor.createHaldImage(8), 'image/png');
+                fileName = 'hald-identity-8.png';
+            } else {
+                const lut = await this.loadActiveLUT(settings);
+                if (!lut) {
+                    this.showError('Select a LUT first to export the look');
+                    return;
+                }
+
+                const transform = this.imagePipeline.createColorTransform(settings, lut);
+                const strengthSuffix = `${Math.round((settings.lutStrength || 1.0) * 100)}`;
+
+                if (format === 'hald') {
+                    blob = await this.imageDataToBlob(this.lutProcessor.createHaldImage(8, transform), 'image/png');
+                    fileName = `${baseName}-${strengthSuffix}-hald8.png`;
+                } else {
+                    const baked = this.lutProcessor.bakeLUT(transform, size);
+                    const title = `${lookName} (${strengthSuffix}%)`;
+                    blob = new Blob([this.lutProcessor.serializeCUBE(baked, title)], { type: 'text/plain' });
+                    fileName = `${baseName}-${strengthSuffix}-${size}.cube`;
+                }
+            }
+
+            this.downloadBlob(blob, fileName);
+            console.log('📤 Look exported:', fileName);
+            this.showSuccess(`Exported ${fileName}`);
+
+        } catch (error) {
+            console.error('❌ Look export error:', error);
+            this.showError('Failed to export look: ' + error.message);
+        }
+    }
+
+    imageDataToBlob(imageData, type = 'image/png', quality = undefined) {
+        const canvas = this.imageDataToCanvas(imageData);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')), type, quality);
+        });
+    }
+
+    downloadBlob(blob, fileName) {
+        const link = document.createElement('a');
+        link.download = fileName;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+    }
+
+    // ===== Batch processing =====
+
+    addBatchFiles(files) {
+        const added = this.batchProcessor.addFiles(files);
+        const skipped = files.length - added;
+
+        if (skipped > 0) {
+            const labels = Object.values(ImageDecoder.FORMATS).map(format => format.label);
+            this.showError(`${skipped} file(s) skipped. Supported formats: ${labels.join(', ')}`);
+        }
+        this.renderBatchQueue();
+    }
+
+    /**
+     * Folder picker: File System Access API when available, webkitdirectory input otherwise
+     */
+    async pickBatchFolder() {
+        if (typeof window.showDirectoryPicker !== 'function') {
+            document.getElementById('batchFolderInput').click();
+            return;
+        }
+
+        try {
+            const directory = await window.showDirectoryPicker();
+            await this.batchProcessor.addDirectory(directory);
+            this.renderBatchQueue();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.error('❌ Failed to read folder:', error);
+            this.showError('Failed to read folder: ' + error.message);
+        }
+    }
+
+    renderBatchQueue() {
+        const list = document.getElementById('batchList');
+        list.innerHTML = '';
+
+        this.batchProcessor.items.forEach(item => {
+            const row = document.createElement('li');
+            row.className = 'list-group-item d-flex justify-content-between align-items-center px-0';
+            row.dataset.id = item.id;
+
+            const name = document.createElement('span');
+            name.className = 'text-truncate me-2';
+            name.textContent = item.file.name;
+
+            const status = document.createElement('span');
+            status.className = 'badge flex-shrink-0';
+
+            row.appendChild(name);
+            row.appendChild(status);
+            list.appendChild(row);
+
+            this.updateBatchItem(item);
+        });
+
+        this.updateBatchControls();
+    }
+
+    updateBatchItem(item) {
+        const row = document.querySelector(`#batchList li[data-id="${item.id}"]`);
+        if (!row) return;
+
+        const labels = {
+            pending: ['Waiting', 'bg-secondary'],
+            processing: [`${item.progress}%`, 'bg-primary'],
+            done: ['Done', 'bg-success'],
+            error: ['Failed', 'bg-danger']
+        };
+        const [text, color] = labels[item.status];
+        const status = row.querySelector('.badge');
+
+        status.textContent = text;
+        status.className = `badge flex-shrink-0 ${color}`;
+        status.title = item.status === 'done' ? item.outputName : item.error;
+    }
+
+    updateBatchControls() {
+        const summary = this.batchProcessor.getSummary();
+        const running = this.batchProcessor.running;
+        const finished = summary.done + summary.failed;
+
+        document.getElementById('batchStartBtn').disabled = running || summary.pending === 0;
+        document.getElementById('batchCancelBtn').disabled = !running;
+        document.getElementById('batchZipBtn').disabled = running || summary.done === 0;
+        document.getElementById('batchClearBtn').disabled = running || summary.total === 0;
+        document.getElementById('batchPresetSelect').disabled = running;
+        document.getElementById('batchNameTemplate').disabled = running;
+
+        document.getElementById('batchProgressBar').style.width =
+            summary.total ? `${Math.round(finished / summary.total * 100)}%` : '0%';
+        document.getElementById('batchSummary').textContent = summary.total
+            ? `${summary.done}/${summary.total} done` + (summary.failed ? `, ${summary.failed} failed` : '')
+            : 'No photos in the queue';
+    }
+
+    async startBatch() {
+        const preset = this.presetManager.getPreset(document.getElementById('batchPresetSelect').value);
+        const settings = preset
+            ? { ...this.currentSettings, ...this.presetManager.toSettings(preset) }
+            : { ...this.currentSettings };
+        const context = {
+            template: document.getElementById('batchNameTemplate').value.trim(),
+            presetName: preset ? preset.name : '',
+            note: this.getProcessingNote(settings),
+            recipe: ImageExporter.serializeRecipe(settings, this.getLUTDisplayName(settings))
+        };
+
+        const lut = await this.loadActiveLUT(settings);
+
+        console.log('🗂️ Batch started with settings:', settings);
+        const run = this.batchProcessor.run(settings, lut, context, (item) => {
+            this.updateBatchItem(item);
+            this.updateBatchControls();
+        });
+        this.updateBatchControls();
+
+        try {
+            await run;
+            const summary = this.batchProcessor.getSummary();
+            if (summary.failed > 0) {
+                this.showError(`${summary.failed} photo(s) failed in the batch`);
+            } else if (summary.pending === 0) {
+                this.showSuccess(`Batch finished: ${summary.done} photo(s) processed`);
+            }
+        } catch (error) {
+            console.error('❌ Batch error:', error);
+            this.showError('Batch processing failed: ' + error.message);
+        } finally {
+            this.updateBatchControls();
+        }
+    }
 
+    async downloadBatchZip() {
         try {
             this.showLoading(true);
-            await this.lutProcessor.loadCustomLUT(file);
-            console.log('✅ Custom LUT loaded successfully');
-            this.showSuccess('Custom LUT loaded successfully!');
+            const zipBlob = await this.batchProcessor.createZip();
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.downloadBlob(zipBlob, `fuji-grain-batch-${timestamp}.zip`);
+
+            console.log('📥 Batch ZIP download initiated');
+            this.showSuccess('ZIP download started!');
+
         } catch (error) {
-            this.showError('Failed to load LUT: ' + error.message);
+            console.error('❌ ZIP export error:', error);
+            this.showError('Failed to create ZIP: ' + error.message);
         } finally {
             this.showLoading(false);
         }
@@ -176,22 +976,38 @@ class FujiGrainApp {
             console.log('📄 Processing file:', file.name);
             this.currentFile = file;
             
+            // Metadata is near the start, read it once instead of the whole (possibly 100MB) file per parser
+            const header = await ImageDecoder.readHeader(file);
+
             // Validate file
-            const validation = await this.validator.validateFile(file);
+            const validation = await this.validator.validateFile(file, header);
             console.log('✅ File validated:', validation);
             
-            // Load image
-            await this.loadImage(validation.dataUrl);
+            // Load image, RAW files are decoded and developed first
+            this.tiffImage = validation.image || null;
+            if (validation.raw) {
+                await this.loadRawImage(validation);
+            } else {
+                this.clearRawImage();
+                await this.loadImage(validation.url);
+            }
             
             // Read EXIF data
-            const exifData = await this.exifReader.getExifData(file);
+            const exifData = validation.raw
+                ? RawDecoder.getExifData(this.rawImage.metadata)
+                : await this.exifReader.getExifData(file, header);
             console.log('📊 EXIF data:', exifData);
+            this.originalExif = await this.exifReader.getRawExif(file, header);
             
             // Update UI
             this.updateFileInfo(validation, exifData);
             this.autoConfigureIso(exifData);
+            this.showRecipeNotice(ImageExporter.parseRecipe(
+                await this.exifReader.getEmbeddedText(file, ImageExporter.RECIPE_KEYWORD, header)
+            ));
             
             this.enableControls(true);
+            this.schedulePreview();
             
         } catch (error) {
             console.error('❌ Error processing file:', error);
@@ -202,23 +1018,116 @@ class FujiGrainApp {
         }
     }
 
-    async loadImage(dataUrl) {
+    /**
+     * Decode a RAW file and load it developed with its as-shot white balance and auto exposure
+     */
+    async loadRawImage(validation) {
+        const raw = await this.rawDecoder.decode(validation.file, (metadata) => {
+            validation.estimatedMemory = this.validator.checkDimensions(
+                metadata.width, metadata.height, RawDecoder.estimateMemory(metadata)
+            );
+        });
+
+        Object.assign(validation, {
+            width: raw.width,
+            height: raw.height,
+            aspectRatio: (raw.width / raw.height).toFixed(2)
+        });
+
+        this.rawImage = raw;
+        this.rawAdjustments = RawDecoder.getDefaultAdjustments(raw);
+        this.updateRawControls();
+        await this.developRaw();
+    }
+
+    clearRawImage() {
+        clearTimeout(this.rawDevelopTimer);
+        this.rawDevelopId++;
+        this.rawImage = null;
+        this.rawAdjustments = null;
+        document.getElementById('rawControls').classList.add('d-none');
+    }
+
+    updateRawControls() {
+        const controls = document.getElementById('rawControls');
+        controls.classList.toggle('d-none', !this.rawImage);
+        if (!this.rawImage) return;
+
+        document.getElementById('rawWhiteBalanceSelect').value = this.rawAdjustments.whiteBalance;
+        document.getElementById('rawExposureSlider').value = this.rawAdjustments.exposure;
+        document.getElementById('rawExposureValue').textContent = this.rawAdjustments.exposure.toFixed(1);
+    }
+
+    /**
+     * Re-develop the RAW (debounced, the slider fires many events)
+     */
+    updateRawAdjustment(key, value) {
+        if (!this.rawImage) return;
+
+        this.rawAdjustments[key] = value;
+        clearTimeout(this.rawDevelopTimer);
+        this.rawDevelopTimer = setTimeout(async () => {
+            try {
+                this.showLoading(true, { blocking: false });
+                if (await this.developRaw()) {
+                    this.schedulePreview();
+                }
+            } catch (error) {
+                console.error('❌ RAW development error:', error);
+                this.showError('Failed to develop RAW: ' + error.message);
+            } finally {
+                this.showLoading(false);
+            }
+        }, 300);
+    }
+
+    /**
+     * Develop the linear RAW data into the original image of the pipeline,
+     * resolves false when a newer development replaced this one
+     */
+    async developRaw() {
+        const developId = ++this.rawDevelopId;
+        const canvas = this.rawDecoder.develop(this.rawImage, this.rawAdjustments);
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to encode image')), 'image/png');
+        });
+        if (developId !== this.rawDevelopId) return false;
+
+        console.log('🎚️ RAW developed:', this.rawAdjustments);
+        await this.loadImage(URL.createObjectURL(blob));
+        return true;
+    }
+
+    async loadImage(url) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             
             img.onload = () => {
                 console.log('🖼️ Image loaded:', img.naturalWidth, 'x', img.naturalHeight);
+
+                // Object URL of the previous photo is not displayed anymore
+                if (this.originalImage && this.originalImage.src !== url) {
+                    URL.revokeObjectURL(this.originalImage.src);
+                }
+
                 this.originalImage = img;
+                this.lutGallery.setSourceImage(img);
+                this.comparisonView.setImageSize(img.naturalWidth, img.naturalHeight);
+                this.previewSource = null;
+                this.processedCanvas = null;
+                this.processedSettingsKey = null;
                 this.displayOriginalImage(img);
                 resolve(img);
             };
 
             img.onerror = () => {
                 console.error('❌ Failed to load image');
+                URL.revokeObjectURL(url);
                 reject(new Error('Failed to load image'));
             };
 
-            img.src = dataUrl;
+            img.src = url;
         });
     }
 
@@ -230,6 +1139,7 @@ class FujiGrainApp {
         // Clear and set new image
         originalImgElement.src = '';
         originalImgElement.src = img.src;
+        this.comparisonView.clearDetail();
         
         // Update canvas preview
         const canvas = document.getElementById('processedCanvas');
@@ -252,7 +1162,7 @@ class FujiGrainApp {
         
         // Update file info
         document.getElementById('fileDetails').textContent = 
-            `Name: ${fileInfo.name} | Size: ${fileInfo.size} | Dimensions: ${fileInfo.dimensions}`;
+            `Name: ${fileInfo.name} | Size: ${fileInfo.size} | Dimensions: ${fileInfo.dimensions} | Color: ${fileInfo.colorProfile}`;
         document.getElementById('fileInfo').classList.remove('d-none');
 
         // Update EXIF info
@@ -275,9 +1185,242 @@ class FujiGrainApp {
         }
     }
 
+    renderPipelineOrder() {
+        const list = document.getElementById('pipelineOrderList');
+        const stages = this.imagePipeline.getStages(this.currentSettings.pipeline);
+
+        list.innerHTML = '';
+        stages.forEach((stage, index) => {
+            const item = document.createElement('li');
+            item.className = 'list-group-item d-flex justify-content-between align-items-center py-1';
+            item.innerHTML = `
+                <span class="small">${index + 1}. ${stage.label}</span>
+                <span class="btn-group btn-group-sm">
+                    <button type="button" class="btn btn-outline-secondary" data-stage="${stage.id}" data-direction="-1"
+                            title="Move up" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline-secondary" data-stage="${stage.id}" data-direction="1"
+                            title="Move down" ${index === stages.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                </span>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    moveStage(stageId, direction) {
+        const order = this.imagePipeline.normalizeOrder(this.currentSettings.pipeline);
+        const from = order.indexOf(stageId);
+        const to = from + direction;
+        if (from === -1 || to < 0 || to >= order.length) return;
+
+        [order[from], order[to]] = [order[to], order[from]];
+        this.updateSetting('pipeline', order);
+        this.renderPipelineOrder();
+    }
+
+    setSeed(value) {
+        const seed = SeededRandom.normalizeSeed(value);
+        document.getElementById('seedInput').value = seed;
+        this.updateSetting('seed', seed);
+    }
+
     updateSetting(key, value) {
         this.currentSettings[key] = value;
         console.log('⚙️ Setting updated:', key, value);
+        this.persistSettings();
+
+        // Manual tweaks mean the look no longer matches the selected preset
+        if (this.presetManager.isPresetKey(key)) {
+            document.getElementById('presetSelect').value = '';
+            this.updatePresetButtons();
+        }
+
+        // Result of a running render is stale now
+        if (this.processingEngine.isBusy()) {
+            console.log('⏹️ Setting changed mid-render, cancelling');
+            this.processingEngine.cancel();
+        }
+
+        this.schedulePreview();
+    }
+
+    isLivePreviewEnabled() {
+        return document.getElementById('livePreviewToggle').checked;
+    }
+
+    /**
+     * Debounced live preview, a new call cancels the pending/running one
+     */
+    schedulePreview() {
+        if (!this.originalImage || !this.isLivePreviewEnabled()) return;
+
+        this.cancelPreview();
+        this.previewTimer = setTimeout(() => {
+            this.previewTimer = null;
+            this.renderPreview();
+        }, this.previewDelay);
+        this.scheduleDetailRender();
+    }
+
+    cancelPreview() {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = null;
+        this.previewId++;
+        this.previewEngine.cancel();
+        this.cancelDetailRender();
+        document.getElementById('processedCanvas').classList.remove('preview-rendering');
+    }
+
+    /**
+     * Debounced full-resolution render of what the zoomed view and the loupe show
+     */
+    scheduleDetailRender() {
+        if (!this.originalImage || !this.isLivePreviewEnabled() || this.isProcessedCurrent()) return;
+
+        this.cancelDetailRender();
+        this.detailTimer = setTimeout(() => {
+            this.detailTimer = null;
+            this.renderDetail();
+        }, this.previewDelay);
+    }
+
+    cancelDetailRender() {
+        clearTimeout(this.detailTimer);
+        this.detailTimer = null;
+        this.detailId++;
+        this.detailEngine.cancel();
+    }
+
+    /**
+     * Only the visible part is rendered, at the resolution the zoom needs (full resolution from 100%),
+     * so pixel-peeping grain while dragging sliders stays fast even on large photos
+     */
+    async renderDetail() {
+        const view = this.comparisonView;
+        const detailId = ++this.detailId;
+        const settings = { ...this.currentSettings };
+
+        try {
+            const lut = await this.loadActiveLUT(settings);
+            if (detailId !== this.detailId) return;
+
+            if (view.zoom.scale > 1) {
+                const renderScale = Math.min(1, view.getPixelZoom());
+                const region = await this.renderRegion(view.getVisibleRegion(), renderScale, settings, lut);
+                if (detailId !== this.detailId) return;
+                view.showRegion(region.canvas, region.rect);
+            }
+
+            const loupeRegion = view.getLoupeRegion();
+            if (loupeRegion) {
+                const detail = await this.renderRegion(loupeRegion, 1, settings, lut);
+                if (detailId !== this.detailId) return;
+                view.setLoupeDetail(detail.canvas, detail.rect);
+            }
+
+        } catch (error) {
+            if (error instanceof ProcessingCancelledError) return;
+            console.error('❌ Detail render failed:', error);
+        }
+    }
+
+    /**
+     * Process part of the original (rect in image fractions) as a crop of the photo scaled by scale.
+     * Resolves { canvas, rect } with the rect snapped to whole pixels.
+     */
+    async renderRegion(rect, scale, settings, lut) {
+        const img = this.originalImage;
+        const frameWidth = Math.max(1, Math.round(img.naturalWidth * scale));
+        const frameHeight = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const x0 = Math.max(0, Math.floor(rect.x * frameWidth));
+        const y0 = Math.max(0, Math.floor(rect.y * frameHeight));
+        const x1 = Math.min(frameWidth, Math.ceil((rect.x + rect.width) * frameWidth));
+        const y1 = Math.min(frameHeight, Math.ceil((rect.y + rect.height) * frameHeight));
+        const width = Math.max(1, x1 - x0);
+        const height = Math.max(1, y1 - y0);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        const toImageX = img.naturalWidth / frameWidth;
+        const toImageY = img.naturalHeight / frameHeight;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(img, x0 * toImageX, y0 * toImageY, width * toImageX, height * toImageY, 0, 0, width, height);
+
+        // Grain needs the crop position to match the full render
+        const regionSettings = { ...settings, region: { x: x0, y: y0, width: frameWidth, height: frameHeight } };
+        const result = await this.detailEngine.process(ctx.getImageData(0, 0, width, height), regionSettings, lut);
+        ctx.putImageData(result, 0, 0);
+
+        return {
+            canvas,
+            rect: { x: x0 / frameWidth, y: y0 / frameHeight, width: width / frameWidth, height: height / frameHeight }
+        };
+    }
+
+    async renderPreview() {
+        if (!this.originalImage) return;
+
+        const previewId = ++this.previewId;
+        const settings = { ...this.currentSettings };
+        const canvasElement = document.getElementById('processedCanvas');
+        canvasElement.classList.add('preview-rendering');
+
+        try {
+            if (!this.previewSource) {
+                this.previewSource = this.createPreviewSource();
+            }
+
+            const lut = await this.loadActiveLUT(settings);
+            if (previewId !== this.previewId) return;
+
+            const source = this.previewSource;
+            const imageData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+            const result = await this.previewEngine.process(imageData, settings, lut);
+
+            this.displayCanvas(this.imageDataToCanvas(result));
+            canvasElement.classList.remove('preview-rendering');
+
+        } catch (error) {
+            // A newer preview replaced this one
+            if (error instanceof ProcessingCancelledError) return;
+
+            console.error('❌ Live preview failed:', error);
+            canvasElement.classList.remove('preview-rendering');
+        }
+    }
+
+    /**
+     * Downscaled copy of the original that fits the preview area.
+     * Grain is resolution independent, so the proxy predicts the export.
+     */
+    createPreviewSource() {
+        const img = this.originalImage;
+        const wrapper = document.getElementById('processedCanvas').parentElement;
+        const displayWidth = (wrapper.clientWidth || 800) * (window.devicePixelRatio || 1);
+
+        const scale = Math.min(
+            1,
+            displayWidth / img.naturalWidth,
+            this.previewMaxSize / Math.max(img.naturalWidth, img.naturalHeight)
+        );
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        console.log('🔍 Preview proxy created:', canvas.width, 'x', canvas.height);
+        return canvas;
     }
 
     async applyGrain() {
@@ -286,75 +1429,95 @@ class FujiGrainApp {
             return;
         }
 
-        // 🚀 PRIORITAS: Tampilkan loading screen DULU
-        this.showLoading(true);
-        this.enableControls(false);
-        document.getElementById('processedCanvas').classList.add('grain-loading');
+        const renderId = ++this.renderId;
 
-        // ⏳ Beri browser waktu untuk render loading screen
-        await new Promise(resolve => setTimeout(resolve, 50));
+        // Progress tanpa overlay, supaya slider tetap bisa digeser (dan membatalkan render)
+        this.showLoading(true, { blocking: false, progress: true });
+        this.setProcessingState(true);
+        document.getElementById('processedCanvas').classList.add('grain-loading');
 
         try {
-            console.log('🎯 Starting image processing with settings:', this.currentSettings);
+            const settings = { ...this.currentSettings };
+            console.log('🎯 Starting image processing with settings:', settings);
             
-            // Step 1: Apply grain
-            const canvas = await this.grainProcessor.applyGrainOptimized(
-                this.originalImage, 
-                this.currentSettings
-            );
+            const lut = await this.loadActiveLUT(settings);
+            const canvas = this.getOriginalCanvas();
 
-            // Step 2: Apply LUT if enabled
-            if (this.currentSettings.applyLUT && 
-                this.currentSettings.selectedLUT && 
-                this.currentSettings.selectedLUT !== 'none') {
-                
-                await this.applyLUTToCanvas(canvas);
-            }
+            // Tiled and in place, large photos never need a second full-size pixel buffer
+            await this.processingEngine.processCanvas(
+                canvas,
+                settings,
+                lut,
+                (percent) => this.updateProgress(percent),
+                this.getHighPrecisionSource()
+            );
 
-            // Step 3: Update result
+            // Update result
             this.processedCanvas = canvas;
+            this.processedSettingsKey = JSON.stringify(settings);
+            this.cancelPreview();
             this.displayProcessedImage();
             
             console.log('✅ Image processing completed successfully');
             this.showSuccess('Grain and color grading applied successfully!');
             
         } catch (error) {
+            if (error instanceof ProcessingCancelledError) {
+                console.log('⏹️ Image processing cancelled');
+                return;
+            }
+
             console.error('❌ Error processing image:', error);
             this.handleProcessingError(error);
             
         } finally {
-            this.showLoading(false);
-            this.enableControls(true);
-            document.getElementById('processedCanvas').classList.remove('grain-loading');
+            // A newer render owns the loading UI now
+            if (renderId === this.renderId) {
+                this.showLoading(false);
+                this.setProcessingState(false);
+                document.getElementById('processedCanvas').classList.remove('grain-loading');
+            }
         }
     }
 
-    async applyLUTToCanvas(canvas) {
+    async loadActiveLUT(settings) {
+        if (!settings.applyLUT || !settings.selectedLUT || settings.selectedLUT === 'none') {
+            return null;
+        }
+
         try {
-            console.log('🎨 Applying LUT:', this.currentSettings.selectedLUT);
-            
-            const ctx = canvas.getContext('2d');
-            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-            
-            const processedData = await this.lutProcessor.applyLUT(
-                imageData, 
-                this.currentSettings.selectedLUT,
-                this.currentSettings.lutStrength || 1.0
-            );
-            
-            if (!processedData || !(processedData instanceof ImageData)) {
-                throw new Error('LUT processing returned invalid ImageData');
+            console.log('🎨 Loading LUT:', settings.selectedLUT);
+            const lut = await this.lutProcessor.getLUTData(settings.selectedLUT);
+
+            if (!lut) {
+                throw new Error(`LUT "${settings.selectedLUT}" could not be loaded`);
             }
-            
-            ctx.putImageData(processedData, 0, 0);
-            console.log('✅ LUT applied successfully');
-            
+            return lut;
+
         } catch (lutError) {
             console.error('❌ LUT processing failed:', lutError);
             this.showError('LUT processing failed: ' + lutError.message + '. Continuing without color grading.');
+            return null;
         }
     }
 
+    getOriginalCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.originalImage.naturalWidth;
+        canvas.height = this.originalImage.naturalHeight;
+
+        canvas.getContext('2d').drawImage(this.originalImage, 0, 0);
+        return canvas;
+    }
+
+    imageDataToCanvas(imageData) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        canvas.getContext('2d').putImageData(imageData, 0, 0);
+        return canvas;
+    }
+
     handleProcessingError(error) {
         let errorMessage = 'Failed to process image: ' + error.message;
         
@@ -371,68 +1534,229 @@ class FujiGrainApp {
     }
 
     displayProcessedImage() {
+        // Full-resolution result is sharper than any region render
+        this.comparisonView.clearDetail();
+        this.displayCanvas(this.processedCanvas);
+    }
+
+    displayCanvas(sourceCanvas) {
         const canvasElement = document.getElementById('processedCanvas');
         const context = canvasElement.getContext('2d');
         
-        canvasElement.width = this.processedCanvas.width;
-        canvasElement.height = this.processedCanvas.height;
+        canvasElement.width = sourceCanvas.width;
+        canvasElement.height = sourceCanvas.height;
         
         context.clearRect(0, 0, canvasElement.width, canvasElement.height);
-        context.drawImage(this.processedCanvas, 0, 0);
+        context.drawImage(sourceCanvas, 0, 0);
+    }
+
+    /**
+     * Full-resolution result matches the current settings
+     */
+    isProcessedCurrent() {
+        return this.processedCanvas !== null &&
+            this.processedSettingsKey === JSON.stringify(this.currentSettings);
     }
 
     resetImage() {
+        this.processingEngine.cancel();
+        this.cancelPreview();
+
         if (this.originalImage) {
             this.displayOriginalImage(this.originalImage);
             this.processedCanvas = null;
+            this.processedSettingsKey = null;
             
-            // Reset UI controls
-            this.resetUIControls();
-            
-            // Reset settings
-            this.currentSettings = {
-                iso: '800',
-                strength: 0.7,
-                grainSize: 1.0,
-                selectedLUT: 'none',
-                lutStrength: 1.0,
-                applyLUT: true
-            };
+            // Reset settings and UI controls
+            this.currentSettings = this.getDefaultSettings();
+            this.syncControls();
+            this.persistSettings();
+            document.getElementById('presetSelect').value = '';
             
             console.log('🔄 Image and settings reset to original');
         }
     }
 
-	resetUIControls() {
-		// Reset LUT controls - set to "none" instead of rebuilding
-		document.getElementById('lutSelect').value = 'none';
-		document.getElementById('customLutUpload').style.display = 'none';
-		document.getElementById('lutStrengthSlider').value = 1.0;
-		document.getElementById('lutStrengthValue').textContent = '1.0';
-		document.getElementById('applyLutToggle').checked = true;
-		
-		// Reset grain controls
-		document.getElementById('isoSelect').value = '800';
-		document.getElementById('strengthSlider').value = 0.7;
-		document.getElementById('strengthValue').textContent = '0.7';
-		document.getElementById('grainSizeSlider').value = 1.0;
-		document.getElementById('grainSizeValue').textContent = '1.0';
-	}
+    getDefaultSettings() {
+        return {
+            iso: '800',
+            strength: 0.7,
+            grainSize: 1.0,
+            grainMode: 'mono',
+            grainModeAuto: true,
+            grainCorrelation: 0.6,
+            grainRed: 1.0,
+            grainGreen: 0.8,
+            grainBlue: 1.3,
+            seed: 1,
+            selectedLUT: 'none',
+            lutStrength: 1.0,
+            lutInterpolation: 'tetrahedral',
+            applyLUT: true,
+            pipeline: this.imagePipeline.normalizeOrder(ImagePipeline.DEFAULT_ORDER),
+            highPrecision: false,
+            dither: true
+        };
+    }
+
+    /**
+     * Merge settings (preset, restored session, ...) and update the controls
+     */
+    applySettings(settings) {
+        this.processingEngine.cancel();
+        this.currentSettings = { ...this.currentSettings, ...settings };
+
+        // A grain mode from a preset or recipe counts as explicit
+        if (settings.grainMode !== undefined && settings.grainModeAuto === undefined) {
+            this.currentSettings.grainModeAuto = false;
+        }
+        this.syncControls();
+        this.persistSettings();
+        console.log('⚙️ Settings applied:', this.currentSettings);
+        this.schedulePreview();
+    }
+
+    /**
+     * Update every control from currentSettings
+     */
+    syncControls() {
+        const settings = this.currentSettings;
+        const setSlider = (sliderId, valueId, value, digits) => {
+            document.getElementById(sliderId).value = value;
+            document.getElementById(valueId).textContent = Number(value).toFixed(digits);
+        };
+
+        // LUT controls - fall back to "none" if the LUT is not in the dropdown
+        const lutSelect = document.getElementById('lutSelect');
+        lutSelect.value = settings.selectedLUT;
+        if (lutSelect.value !== settings.selectedLUT) {
+            console.warn('⚠️ LUT not available, using none:', settings.selectedLUT);
+            lutSelect.value = 'none';
+            settings.selectedLUT = 'none';
+        }
+        this.lutGallery.setSelected(settings.selectedLUT);
+        setSlider('lutStrengthSlider', 'lutStrengthValue', settings.lutStrength, 1);
+        document.getElementById('applyLutToggle').checked = settings.applyLUT;
+        document.getElementById('lutInterpolationSelect').value = settings.lutInterpolation;
+
+        // Grain controls
+        document.getElementById('isoSelect').value = settings.iso;
+        setSlider('strengthSlider', 'strengthValue', settings.strength, 1);
+        setSlider('grainSizeSlider', 'grainSizeValue', settings.grainSize, 1);
+        document.getElementById('grainModeSelect').value = settings.grainMode;
+        document.getElementById('chromaGrainControls').style.display = settings.grainMode === 'chroma' ? 'block' : 'none';
+        setSlider('grainCorrelationSlider', 'grainCorrelationValue', settings.grainCorrelation, 2);
+        setSlider('grainRedSlider', 'grainRedValue', settings.grainRed, 2);
+        setSlider('grainGreenSlider', 'grainGreenValue', settings.grainGreen, 2);
+        setSlider('grainBlueSlider', 'grainBlueValue', settings.grainBlue, 2);
+        document.getElementById('seedInput').value = settings.seed;
+
+        document.getElementById('highPrecisionToggle').checked = settings.highPrecision;
+        document.getElementById('ditherToggle').checked = settings.dither;
+        this.renderPipelineOrder();
+    }
+
+    /**
+     * Export dialog with the formats this browser can encode
+     */
+    async openExportDialog() {
+        if (!this.originalImage) {
+            this.showError('Please upload an image first');
+            return;
+        }
+
+        const formats = await this.imageExporter.getSupportedFormats();
+        const formatSelect = document.getElementById('exportFormat');
+        formatSelect.innerHTML = '';
+        formats.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.id;
+            option.textContent = format.label;
+            formatSelect.appendChild(option);
+        });
+
+        const options = this.exportOptions;
+        formatSelect.value = formats.some(format => format.id === options.format) ? options.format : formats[0].id;
+        document.getElementById('exportQuality').value = Math.round(options.quality * 100);
+        document.getElementById('exportColorSpace').value = ColorManager.getSpace(options.colorSpace).id;
+        document.getElementById('exportLongEdge').value = options.longEdge || '';
+        document.getElementById('exportLongEdge').max = Math.max(this.originalImage.naturalWidth, this.originalImage.naturalHeight);
+        document.getElementById('exportFileName').value = options.template;
+        document.getElementById('exportKeepMetadata').checked = options.keepMetadata;
+        document.getElementById('exportEmbedRecipe').checked = options.embedRecipe;
+
+        this.updateExportDialog();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('exportModal')).show();
+    }
+
+    updateExportDialog() {
+        const options = this.readExportOptions();
+        const format = this.imageExporter.getFormat(options.format);
+
+        document.getElementById('exportQualityValue').textContent = Math.round(options.quality * 100);
+        document.getElementById('exportQuality').disabled = !format.lossy;
+        document.getElementById('exportColorSpace').disabled = !format.colorProfile;
+        document.getElementById('exportKeepMetadata').disabled = !format.metadata;
+        document.getElementById('exportEmbedRecipe').disabled = !format.metadata;
+        document.getElementById('exportFileNamePreview').textContent = this.getExportFileName(options, format);
+    }
+
+    readExportOptions() {
+        const longEdge = parseInt(document.getElementById('exportLongEdge').value, 10);
+
+        return {
+            format: document.getElementById('exportFormat').value,
+            quality: parseInt(document.getElementById('exportQuality').value, 10) / 100,
+            colorSpace: document.getElementById('exportColorSpace').value,
+            longEdge: Number.isFinite(longEdge) && longEdge > 0 ? longEdge : 0,
+            template: document.getElementById('exportFileName').value.trim() || '{name}',
+            keepMetadata: document.getElementById('exportKeepMetadata').checked,
+            embedRecipe: document.getElementById('exportEmbedRecipe').checked
+        };
+    }
+
+    getExportFileName(options, format) {
+        const preset = this.presetManager.getPreset(document.getElementById('presetSelect').value);
 
-    downloadResult() {
-        if (!this.processedCanvas) {
-            this.showError('No processed image to download. Please apply grain first.');
+        return ImageExporter.formatFileName(options.template, this.currentFile, this.currentSettings, {
+            presetName: preset ? preset.name : '',
+            extension: format.extension
+        });
+    }
+
+    async downloadResult() {
+        if (!this.originalImage) {
+            this.showError('Please upload an image first');
             return;
         }
 
+        const options = this.readExportOptions();
+        const format = this.imageExporter.getFormat(options.format);
+        const fileName = this.getExportFileName(options, format);
+
+        this.exportOptions = options;
+        this.persistSettings();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('exportModal')).hide();
+
         try {
-            const link = document.createElement('a');
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            link.download = `fuji-grain-${timestamp}.jpg`;
-            link.href = this.processedCanvas.toDataURL('image/jpeg', 0.95);
-            link.click();
-            
-            console.log('📥 Download initiated');
+            const metadata = {
+                exif: this.originalExif,
+                note: this.getProcessingNote(this.currentSettings),
+                recipe: ImageExporter.serializeRecipe(this.currentSettings, this.getLUTDisplayName(this.currentSettings))
+            };
+
+            let blob;
+            if (format.bitDepth === 16) {
+                blob = await this.render16BitExport(options, metadata);
+            } else {
+                const canvas = await this.renderForExport(options.longEdge);
+                blob = canvas && await this.imageExporter.export(canvas, options, metadata);
+            }
+            if (!blob) return;
+
+            this.downloadBlob(blob, fileName);
+
+            console.log('📥 Download initiated:', fileName, blob.size, 'bytes');
             this.showSuccess('Download started!');
             
         } catch (error) {
@@ -441,11 +1765,176 @@ class FujiGrainApp {
         }
     }
 
+    /**
+     * Full-resolution result, or a fresh render at the requested size.
+     * Rendering small (instead of shrinking the full render) keeps the grain size in film mm.
+     * Resolves null when the render was cancelled or failed.
+     */
+    async renderForExport(longEdge) {
+        const img = this.originalImage;
+
+        if (!longEdge || longEdge >= Math.max(img.naturalWidth, img.naturalHeight)) {
+            // Live preview is only a proxy, export always comes from a full-resolution render
+            if (!this.isProcessedCurrent()) {
+                await this.applyGrain();
+            }
+            return this.isProcessedCurrent() ? this.processedCanvas : null;
+        }
+
+        this.showLoading(true, { blocking: false, progress: true });
+        try {
+            const settings = { ...this.currentSettings };
+            const lut = await this.loadActiveLUT(settings);
+            return await this.processingEngine.processCanvas(
+                this.getResizedCanvas(longEdge),
+                settings,
+                lut,
+                (percent) => this.updateProgress(percent)
+            );
+
+        } catch (error) {
+            if (error instanceof ProcessingCancelledError) return null;
+            throw error;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * 16-bit export, always in high precision. Rows go to the encoder band by band as they are processed.
+     * A full-size RAW file or 16-bit TIFF is read at its own bit depth, anything else starts from the 8-bit original.
+     * Resolves the file Blob, null when cancelled.
+     */
+    async render16BitExport(options, metadata) {
+        const longEdge = options.longEdge;
+        const img = this.originalImage;
+        const fullSize = !longEdge || longEdge >= Math.max(img.naturalWidth, img.naturalHeight);
+        const source = fullSize
+            ? this.getHighPrecisionSource() || ProcessingEngine.createCanvasSource(this.getOriginalCanvas())
+            : ProcessingEngine.createCanvasSource(this.getResizedCanvas(longEdge));
+
+        const encoder = await this.imageExporter.create16BitEncoder(source.width, source.height, options, metadata);
+
+        this.showLoading(true, { blocking: false, progress: true });
+        try {
+            const settings = { ...this.currentSettings };
+            const lut = await this.loadActiveLUT(settings);
+            await this.processingEngine.processToRows(
+                source,
+                settings,
+                lut,
+                (data, rows) => encoder.writeRows(data, rows),
+                (percent) => this.updateProgress(percent)
+            );
+            return await encoder.finish();
+
+        } catch (error) {
+            encoder.cancel();
+            if (error instanceof ProcessingCancelledError) return null;
+            throw error;
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    /**
+     * Float tiles of the loaded RAW file or 16-bit TIFF for high precision mode, null for other images
+     */
+    getHighPrecisionSource() {
+        if (this.rawImage) return this.rawDecoder.createSource(this.rawImage, this.rawAdjustments);
+        return this.tiffImage ? ImageDecoder.createSource(this.tiffImage) : null;
+    }
+
+    getResizedCanvas(longEdge) {
+        const img = this.originalImage;
+        const scale = longEdge / Math.max(img.naturalWidth, img.naturalHeight);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Short human readable description of the look, written into the EXIF
+     */
+    getProcessingNote(settings) {
+        const parts = [];
+
+        if (settings.applyLUT && settings.selectedLUT !== 'none') {
+            parts.push(`LUT ${this.getLUTDisplayName(settings)} ${Math.round((settings.lutStrength || 1) * 100)}%`);
+        }
+
+        parts.push(`${settings.grainMode === 'chroma' ? 'Color' : 'Mono'} grain ISO ${settings.iso}, ` +
+            `strength ${Number(settings.strength).toFixed(2)}, size ${Number(settings.grainSize).toFixed(2)}, seed ${settings.seed}`);
+
+        return parts.join('; ');
+    }
+
+    getLUTDisplayName(settings) {
+        if (!settings.applyLUT || settings.selectedLUT === 'none') return '';
+
+        const lut = this.availableLUTs.find(item => item.id === settings.selectedLUT);
+        return lut ? lut.displayName : settings.selectedLUT;
+    }
+
+    /**
+     * Offer the recipe embedded in an exported photo (null hides the notice)
+     */
+    showRecipeNotice(recipe) {
+        this.pendingRecipe = recipe;
+        document.getElementById('recipeNotice').classList.toggle('d-none', !recipe);
+        if (!recipe) return;
+
+        const settings = recipe.settings;
+        document.getElementById('recipeDetails').textContent = [
+            recipe.lutName ? `LUT: ${recipe.lutName}` : 'No LUT',
+            `ISO ${settings.iso}`,
+            `Grain ${Number(settings.strength).toFixed(2)} / size ${Number(settings.grainSize).toFixed(2)}`,
+            `Seed ${settings.seed}`
+        ].join(' | ');
+
+        console.log('📜 Recipe found in file:', recipe);
+    }
+
+    restoreRecipe() {
+        const recipe = this.pendingRecipe;
+        if (!recipe) return;
+
+        // Only known settings (values are already checked by ImageExporter.parseRecipe)
+        const defaults = this.getDefaultSettings();
+        const settings = {};
+        Object.keys(defaults).forEach(key => {
+            if (recipe.settings[key] !== undefined) settings[key] = recipe.settings[key];
+        });
+        settings.pipeline = this.imagePipeline.normalizeOrder(settings.pipeline);
+
+        // Uploaded LUTs only exist in the browser that exported the photo
+        const lutId = settings.selectedLUT;
+        if (lutId && lutId !== 'none' && !this.availableLUTs.some(lut => lut.id === lutId)) {
+            settings.selectedLUT = 'none';
+            this.showError(`LUT "${recipe.lutName || lutId}" is not available here, restored the other settings without it`);
+        } else {
+            this.showSuccess('Recipe restored');
+        }
+
+        this.applySettings(settings);
+        document.getElementById('presetSelect').value = '';
+        this.showRecipeNotice(null);
+    }
+
     enableControls(enabled) {
         const controls = [
             'applyGrainBtn', 'resetBtn', 'downloadBtn', 
-            'isoSelect', 'strengthSlider', 'grainSizeSlider',
-            'lutSelect', 'lutStrengthSlider', 'applyLutToggle', 'lutFileInput'
+            'isoSelect', 'strengthSlider', 'grainSizeSlider', 'seedInput', 'rerollSeedBtn',
+            'grainModeSelect', 'grainCorrelationSlider', 'grainRedSlider', 'grainGreenSlider', 'grainBlueSlider',
+            'lutSelect', 'lutStrengthSlider', 'applyLutToggle', 'lutInterpolationSelect', 'lutFileInput',
+            'livePreviewToggle', 'highPrecisionToggle', 'ditherToggle', 'presetSelect', 'savePresetBtn',
+            'rawWhiteBalanceSelect', 'rawExposureSlider', 'rawAutoExposureBtn'
         ];
         
         controls.forEach(controlId => {
@@ -455,15 +1944,7 @@ class FujiGrainApp {
                 
                 // Update apply button appearance
                 if (controlId === 'applyGrainBtn') {
-                    if (enabled) {
-                        element.innerHTML = '<i class="fas fa-magic me-2"></i>Apply Grain & LUT';
-                        element.classList.remove('btn-secondary');
-                        element.classList.add('btn-primary');
-                    } else {
-                        element.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>Processing...';
-                        element.classList.remove('btn-primary');
-                        element.classList.add('btn-secondary');
-                    }
+                    this.updateApplyButton(element, !enabled);
                 }
             }
         });
@@ -471,23 +1952,58 @@ class FujiGrainApp {
         // Update download button state
         const downloadBtn = document.getElementById('downloadBtn');
         if (downloadBtn) {
-            downloadBtn.disabled = !(enabled && this.processedCanvas);
+            downloadBtn.disabled = !(enabled && this.originalImage);
+        }
+    }
+
+    updateApplyButton(element, processing) {
+        if (!processing) {
+            element.innerHTML = '<i class="fas fa-magic me-2"></i>Apply Grain & LUT';
+            element.classList.remove('btn-secondary');
+            element.classList.add('btn-primary');
+        } else {
+            element.innerHTML = '<i class="fas fa-spinner fa-spin me-2"></i>Processing...';
+            element.classList.remove('btn-primary');
+            element.classList.add('btn-secondary');
         }
     }
 
+    setProcessingState(processing) {
+        const applyBtn = document.getElementById('applyGrainBtn');
+        applyBtn.disabled = processing;
+        this.updateApplyButton(applyBtn, processing);
+
+        document.getElementById('downloadBtn').disabled = processing || !this.originalImage;
+    }
+
     resetFileInput() {
         document.getElementById('imageInput').value = '';
         this.currentFile = null;
+        this.originalExif = null;
+        this.tiffImage = null;
+        this.clearRawImage();
+        this.showRecipeNotice(null);
         this.enableControls(false);
     }
 
-    showLoading(show) {
+    showLoading(show, options = {}) {
+        const { blocking = true, progress = false } = options;
         const spinner = document.getElementById('loadingSpinner');
         const overlay = document.getElementById('loadingOverlay');
         
         if (show) {
             // Prioritaskan tampilan loading screen
             spinner.classList.remove('d-none');
+            document.getElementById('loadingProgress').classList.toggle('d-none', !progress);
+            if (progress) {
+                this.updateProgress(0);
+            }
+
+            if (!blocking) {
+                document.body.style.cursor = 'progress';
+                return;
+            }
+
             if (!overlay) {
                 const newOverlay = document.createElement('div');
                 newOverlay.id = 'loadingOverlay';
@@ -508,6 +2024,11 @@ class FujiGrainApp {
         }
     }
 
+    updateProgress(percent) {
+        document.getElementById('loadingProgressBar').style.width = `${percent}%`;
+        document.getElementById('loadingProgressText').textContent = `${percent}%`;
+    }
+
     showError(message) {
         console.error('❌ App Error:', message);
         
@@ -518,11 +2039,13 @@ class FujiGrainApp {
         toast.innerHTML = `
             <div class="d-flex">
                 <div class="toast-body">
-                    <i class="fas fa-exclamation-triangle me-2"></i>${message}
+                    <i class="fas fa-exclamation-triangle me-2"></i><span class="toast-message"></span>
                 </div>
                 <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
             </div>
         `;
+        // File names, LUT titles and preset names end up here, never parse them as HTML
+        toast.querySelector('.toast-message').textContent = message;
         
         document.body.appendChild(toast);
         new bootstrap.Toast(toast, { delay: 5000 }).show();
@@ -542,11 +2065,12 @@ class FujiGrainApp {
         toast.innerHTML = `
             <div class="d-flex">
                 <div class="toast-body">
-                    <i class="fas fa-check-circle me-2"></i>${message}
+                    <i class="fas fa-check-circle me-2"></i><span class="toast-message"></span>
                 </div>
                 <button type="button" class="btn-close btn-close-white me-2 m-auto" data-bs-dismiss="toast"></button>
             </div>
         `;
+        toast.querySelector('.toast-message').textContent = message;
         
         document.body.appendChild(toast);
         new bootstrap.Toast(toast, { delay: 3000 }).show();
@@ -0,0 +1,248 @@
+/**
+ * Fujifilm Grain Simulator - Batch Processor Module
+ *
+ * @description Queue of photos processed one by one with the same settings, exported together as a ZIP
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class BatchProcessor {
+    constructor(validator, processingEngine, rawDecoder = null, exporter = null, exifReader = null) {
+        this.validator = validator;
+        this.engine = processingEngine;
+        this.rawDecoder = rawDecoder;
+        this.exporter = exporter;
+        this.exifReader = exifReader;
+        this.items = [];
+        this.running = false;
+        this.cancelled = false;
+        this.nextItemId = 1;
+        this.quality = 0.95;
+    }
+
+    /**
+     * Add files to the queue, non-image files (e.g. from a folder) are skipped
+     */
+    addFiles(files) {
+        let added = 0;
+
+        Array.from(files).forEach(file => {
+            if (!this.validator.isSupported(file)) return;
+            if (this.validator.isRawFile(file) && !this.rawDecoder) return;
+
+            this.items.push({
+                id: this.nextItemId++,
+                file: file,
+                status: 'pending',
+                progress: 0,
+                blob: null,
+                outputName: '',
+                error: ''
+            });
+            added++;
+        });
+
+        console.log(`🗂️ Batch queue: ${added} added, ${this.items.length} total`);
+        return added;
+    }
+
+    /**
+     * Collect files from a directory picked with the File System Access API
+     */
+    async addDirectory(directoryHandle) {
+        const files = [];
+
+        const walk = async (handle) => {
+            for await (const entry of handle.values()) {
+                if (entry.kind === 'file') {
+                    files.push(await entry.getFile());
+                } else if (entry.kind === 'directory') {
+                    await walk(entry);
+                }
+            }
+        };
+
+        await walk(directoryHandle);
+        files.sort((a, b) => a.name.localeCompare(b.name));
+        return this.addFiles(files);
+    }
+
+    clear() {
+        if (this.running) return;
+        this.items = [];
+    }
+
+    getSummary() {
+        const count = (status) => this.items.filter(item => item.status === status).length;
+
+        return {
+            total: this.items.length,
+            pending: count('pending'),
+            done: count('done'),
+            failed: count('error')
+        };
+    }
+
+    /**
+     * Process every pending item with the same settings and parsed LUT.
+     * context = { template, presetName, note, recipe }, onUpdate(item) is called whenever an item changes.
+     */
+    async run(settings, lut, context = {}, onUpdate = null) {
+        if (this.running) return;
+
+        this.running = true;
+        this.cancelled = false;
+        const notify = (item) => onUpdate && onUpdate(item);
+        const usedNames = new Set(this.items.filter(item => item.outputName).map(item => item.outputName));
+
+        try {
+            for (const [index, item] of this.items.entries()) {
+                if (this.cancelled) break;
+                if (item.status === 'done') continue;
+
+                Object.assign(item, { status: 'processing', progress: 0, error: '' });
+                notify(item);
+
+                try {
+                    const canvas = await this._decode(item.file);
+                    await this.engine.processCanvas(canvas, settings, lut, (percent) => {
+                        item.progress = percent;
+                        notify(item);
+                    });
+
+                    item.blob = await this._encode(canvas, item.file, context);
+                    item.outputName = this._uniqueName(
+                        this.formatFileName(context.template, item.file, index, settings, context.presetName),
+                        usedNames
+                    );
+                    item.status = 'done';
+                    item.progress = 100;
+
+                } catch (error) {
+                    if (error instanceof ProcessingCancelledError) {
+                        item.status = 'pending';
+                        item.progress = 0;
+                        break;
+                    }
+
+                    console.error('❌ Batch item failed:', item.file.name, error);
+                    item.status = 'error';
+                    item.error = error.message;
+                }
+
+                notify(item);
+            }
+        } finally {
+            this.running = false;
+        }
+
+        console.log('✅ Batch finished:', this.getSummary());
+    }
+
+    /**
+     * Stop after the current item (the running job is cancelled right away)
+     */
+    cancel() {
+        if (!this.running) return;
+
+        this.cancelled = true;
+        this.engine.cancel();
+    }
+
+    /**
+     * Build the output file name from a template, e.g. "{name}_{lut}_{index}"
+     */
+    formatFileName(template, file, index, settings, presetName = '') {
+        return ImageExporter.formatFileName(template, file, settings, { index, presetName });
+    }
+
+    /**
+     * Package all finished items into a ZIP (JSZip)
+     */
+    async createZip() {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('ZIP library not loaded');
+        }
+
+        const finished = this.items.filter(item => item.status === 'done' && item.blob);
+        if (finished.length === 0) {
+            throw new Error('No processed photos to export');
+        }
+
+        const zip = new JSZip();
+        finished.forEach(item => zip.file(item.outputName, item.blob));
+
+        // JPEG is already compressed, storing is much faster than deflating again
+        return zip.generateAsync({ type: 'blob', compression: 'STORE' });
+    }
+
+    _uniqueName(fileName, usedNames) {
+        let name = fileName;
+        let counter = 2;
+
+        while (usedNames.has(name)) {
+            name = fileName.replace(/\.jpg$/, `-${counter++}.jpg`);
+        }
+
+        usedNames.add(name);
+        return name;
+    }
+
+    /**
+     * Decode into a canvas, the engine processes it in place
+     */
+    async _decode(file) {
+        const validation = await this.validator.validateFile(file);
+
+        // RAW files are developed with their as-shot white balance and auto exposure
+        if (validation.raw) {
+            const raw = await this.rawDecoder.decode(file, (metadata) => {
+                this.validator.checkDimensions(metadata.width, metadata.height, RawDecoder.estimateMemory(metadata));
+            });
+            return this.rawDecoder.develop(raw, RawDecoder.getDefaultAdjustments(raw));
+        }
+
+        try {
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('Failed to load image'));
+                image.src = validation.url;
+            });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            canvas.getContext('2d').drawImage(img, 0, 0);
+            return canvas;
+
+        } finally {
+            URL.revokeObjectURL(validation.url);
+        }
+    }
+
+    /**
+     * JPEG with the original EXIF and the recipe, like a single export (plain JPEG without an exporter)
+     */
+    async _encode(canvas, file, context) {
+        if (this.exporter) {
+            const options = { format: 'jpeg', quality: this.quality, keepMetadata: true, embedRecipe: true };
+            return this.exporter.export(canvas, options, {
+                exif: this.exifReader ? await this.exifReader.getRawExif(file) : null,
+                note: context.note,
+                recipe: context.recipe
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')),
+                'image/jpeg',
+                this.quality
+            );
+        });
+    }
+}
@@ -0,0 +1,590 @@
+/**
+ * Fujifilm Grain Simulator - Color Manager Module
+ *
+ * @description Reads embedded ICC profiles, converts photos into the sRGB working space of the LUTs and the result into the chosen output space
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class ColorManager {
+    constructor() {
+        this.iccProfiles = new Map();
+        this.canvasColorSpaces = new Map();
+    }
+
+    /**
+     * Built-in RGB spaces. matrix = linear RGB -> XYZ (D50 adapted, like ICC colorants),
+     * curve = parametric transfer curve [g, a, b, c, d, e, f] of the encoded values
+     */
+    static get SPACES() {
+        const srgbCurve = { params: [2.4, 1 / 1.055, 0.055 / 1.055, 1 / 12.92, 0.04045, 0, 0] };
+
+        return {
+            'srgb': {
+                id: 'srgb', label: 'sRGB', canvas: 'srgb', curve: srgbCurve,
+                matrix: [0.4360413, 0.3851129, 0.1430458, 0.2224845, 0.7169051, 0.0606104, 0.0139202, 0.0970672, 0.7139126]
+            },
+            'display-p3': {
+                id: 'display-p3', label: 'Display P3', canvas: 'display-p3', curve: srgbCurve,
+                matrix: [0.5151187, 0.2919778, 0.1571035, 0.2411892, 0.6922441, 0.0665668, -0.0010505, 0.0418791, 0.7840713]
+            },
+            'adobe-rgb': {
+                id: 'adobe-rgb', label: 'Adobe RGB (1998)', canvas: null, curve: { params: [563 / 256, 1, 0, 0, 0, 0, 0] },
+                matrix: [0.6097408, 0.2052726, 0.1491867, 0.3111125, 0.6256751, 0.0632123, 0.0194654, 0.0608745, 0.7445601]
+            }
+        };
+    }
+
+    /**
+     * The .cube LUTs are graded for sRGB/Rec.709, every photo is converted to this before the pipeline
+     */
+    static get WORKING_SPACE() {
+        return 'srgb';
+    }
+
+    static getSpace(spaceId) {
+        return ColorManager.SPACES[spaceId] || ColorManager.SPACES[ColorManager.WORKING_SPACE];
+    }
+
+    /**
+     * Color profile embedded in a file: a built-in space when the profile matches one,
+     * a parsed ICC profile otherwise, or null when the file has none (treated as sRGB).
+     * header (optional, see ImageDecoder.readHeader) is the start of the file, parts past it are sliced.
+     */
+    async readProfile(file, format, header = null) {
+        try {
+            header = header || await ImageDecoder.readHeader(file);
+            const read = (offset, length) => ImageDecoder.readRange(file, header, offset, length);
+
+            switch (format) {
+                case 'jpeg':
+                    return await this._readJPEGProfile(read);
+                case 'png':
+                    return await this._readPNGProfile(read);
+                case 'webp':
+                    return await this._readWebPProfile(read);
+                case 'heic':
+                case 'avif':
+                    return await this._readBMFFProfile(read);
+                default:
+                    return null;
+            }
+
+        } catch (error) {
+            console.warn('⚠️ Color profile could not be read, assuming sRGB:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Parse ICC bytes, null (with a warning) for profiles that are not matrix/TRC RGB profiles
+     */
+    readICCProfile(bytes) {
+        try {
+            return this.parseICCProfile(bytes);
+        } catch (error) {
+            console.warn('⚠️ Unsupported color profile, assuming sRGB:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Matrix/TRC RGB profile (what cameras, phones and editors embed) -> { id, label, matrix, curves }
+     */
+    parseICCProfile(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+        if (bytes.length < 132 || ascii(36, 4) !== 'acsp') throw new Error('Invalid ICC profile');
+        if (ascii(16, 4) !== 'RGB ') throw new Error(`ICC profile is not RGB (${ascii(16, 4).trim()})`);
+
+        const tags = {};
+        const tagCount = view.getUint32(128);
+        for (let i = 0; i < tagCount; i++) {
+            const entry = 132 + i * 12;
+            tags[ascii(entry, 4)] = view.getUint32(entry + 4);
+        }
+
+        const required = ['rXYZ', 'gXYZ', 'bXYZ', 'rTRC', 'gTRC', 'bTRC'];
+        if (!required.every(tag => tags[tag] !== undefined)) {
+            throw new Error('ICC profile has no matrix/TRC tags');
+        }
+
+        const fixed = (offset) => view.getInt32(offset) / 65536;
+        const columns = ['rXYZ', 'gXYZ', 'bXYZ'].map(tag => [0, 1, 2].map(i => fixed(tags[tag] + 8 + i * 4)));
+        const profile = {
+            id: 'embedded',
+            label: this._readICCDescription(bytes, tags.desc) || 'Embedded profile',
+            matrix: [0, 1, 2].flatMap(row => columns.map(column => column[row])),
+            curves: ['rTRC', 'gTRC', 'bTRC'].map(tag => this._readICCCurve(bytes, tags[tag]))
+        };
+
+        return this._identify(profile);
+    }
+
+    /**
+     * Convert 8-bit RGBA pixels in place
+     */
+    convertImageData(imageData, from, to) {
+        this._convertPixels(imageData.data, 4, this._createTransform(from, to, 256));
+        return imageData;
+    }
+
+    /**
+     * Convert a 16-bit RGB buffer { width, height, data: Uint16Array } in place
+     */
+    convertBuffer(image, from, to) {
+        this._convertPixels(image.data, 3, this._createTransform(from, to, 65536));
+        return image;
+    }
+
+    /**
+     * Copy of an sRGB canvas in the output space. Browsers with canvas colorSpace support convert
+     * on drawImage, elsewhere the pixels are converted here in strips.
+     */
+    toOutputCanvas(canvas, spaceId) {
+        const space = ColorManager.getSpace(spaceId);
+        if (space.id === ColorManager.WORKING_SPACE) return canvas;
+
+        const output = document.createElement('canvas');
+        output.width = canvas.width;
+        output.height = canvas.height;
+
+        if (space.canvas && this.supportsCanvasColorSpace(space.canvas)) {
+            output.getContext('2d', { colorSpace: space.canvas }).drawImage(canvas, 0, 0);
+            return output;
+        }
+
+        const source = canvas.getContext('2d');
+        const ctx = output.getContext('2d');
+        const workingSpace = ColorManager.getSpace(ColorManager.WORKING_SPACE);
+
+        for (let y = 0; y < canvas.height; y += 256) {
+            const rows = Math.min(256, canvas.height - y);
+            const imageData = source.getImageData(0, y, canvas.width, rows);
+            ctx.putImageData(this.convertImageData(imageData, workingSpace, space), 0, y);
+        }
+
+        return output;
+    }
+
+    supportsCanvasColorSpace(colorSpace) {
+        if (!this.canvasColorSpaces.has(colorSpace)) {
+            let supported = false;
+            try {
+                const ctx = document.createElement('canvas').getContext('2d', { colorSpace });
+                supported = Boolean(ctx.getContextAttributes) && ctx.getContextAttributes().colorSpace === colorSpace;
+            } catch (error) {
+                supported = false;
+            }
+            this.canvasColorSpaces.set(colorSpace, supported);
+        }
+
+        return this.canvasColorSpaces.get(colorSpace);
+    }
+
+    /**
+     * ICC v2 display profile of a built-in space, to embed on export
+     */
+    createICCProfile(spaceId) {
+        const space = ColorManager.getSpace(spaceId);
+        if (this.iccProfiles.has(space.id)) {
+            return this.iccProfiles.get(space.id);
+        }
+
+        const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+        const fixed = (view, offset, value) => view.setInt32(offset, Math.round(value * 65536));
+        const xyz = (values) => {
+            const data = new Uint8Array(20);
+            const view = new DataView(data.buffer);
+            data.set(ascii('XYZ '), 0);
+            values.forEach((value, i) => fixed(view, 8 + i * 4, value));
+            return data;
+        };
+
+        // textDescriptionType: ASCII part, empty Unicode and ScriptCode parts
+        const description = new Uint8Array(91 + space.label.length);
+        description.set(ascii('desc'), 0);
+        new DataView(description.buffer).setUint32(8, space.label.length + 1);
+        description.set(ascii(space.label), 12);
+
+        const notice = 'No copyright, use freely';
+        const copyright = new Uint8Array(9 + notice.length);
+        copyright.set(ascii('text'), 0);
+        copyright.set(ascii(notice), 8);
+
+        // Gamma curves fit one value, the sRGB curve is sampled
+        const params = space.curve.params;
+        const isGamma = params[1] === 1 && params[2] === 0 && params[3] === 0 && params[4] === 0;
+        const points = isGamma ? 1 : 1024;
+        const curve = new Uint8Array(12 + points * 2);
+        const curveView = new DataView(curve.buffer);
+        curve.set(ascii('curv'), 0);
+        curveView.setUint32(8, points);
+        if (isGamma) {
+            curveView.setUint16(12, Math.round(params[0] * 256));
+        } else {
+            for (let i = 0; i < points; i++) {
+                curveView.setUint16(12 + i * 2, Math.round(ColorManager.evaluateCurve(space.curve, i / (points - 1)) * 65535));
+            }
+        }
+
+        const m = space.matrix;
+        const elements = [
+            ['desc', description],
+            ['cprt', copyright],
+            ['wtpt', xyz([0.9642, 1, 0.8249])],
+            ['rXYZ', xyz([m[0], m[3], m[6]])],
+            ['gXYZ', xyz([m[1], m[4], m[7]])],
+            ['bXYZ', xyz([m[2], m[5], m[8]])],
+            ['rTRC', curve],
+            ['gTRC', curve],
+            ['bTRC', curve]
+        ];
+
+        // Header, tag table, then the tag data (4-byte aligned, the three TRC tags share one curve)
+        const tableSize = 4 + elements.length * 12;
+        const offsets = new Map();
+        let size = 128 + tableSize;
+        elements.forEach(([, data]) => {
+            if (offsets.has(data)) return;
+            offsets.set(data, size);
+            size += (data.length + 3) & ~3;
+        });
+
+        const profile = new Uint8Array(size);
+        const view = new DataView(profile.buffer);
+        view.setUint32(0, size);
+        view.setUint32(8, 0x02100000); // version 2.1
+        profile.set(ascii('mntrRGB XYZ '), 12);
+        [2025, 1, 1, 0, 0, 0].forEach((value, i) => view.setUint16(24 + i * 2, value));
+        profile.set(ascii('acsp'), 36);
+        [0.9642, 1, 0.8249].forEach((value, i) => fixed(view, 68 + i * 4, value)); // D50 illuminant
+
+        view.setUint32(128, elements.length);
+        elements.forEach(([signature, data], i) => {
+            const entry = 132 + i * 12;
+            profile.set(ascii(signature), entry);
+            view.setUint32(entry + 4, offsets.get(data));
+            view.setUint32(entry + 8, data.length);
+        });
+        offsets.forEach((offset, data) => profile.set(data, offset));
+
+        this.iccProfiles.set(space.id, profile);
+        return profile;
+    }
+
+    /**
+     * Encoded value (0-1) -> linear light
+     */
+    static evaluateCurve(curve, x) {
+        if (curve.table) {
+            const position = Math.max(0, Math.min(1, x)) * (curve.table.length - 1);
+            const index = Math.min(curve.table.length - 2, Math.floor(position));
+            return curve.table[index] + (curve.table[index + 1] - curve.table[index]) * (position - index);
+        }
+
+        const [g, a, b, c, d, e, f] = curve.params;
+        return x >= d ? Math.pow(Math.max(0, a * x + b), g) + e : c * x + f;
+    }
+
+    /**
+     * Linear light -> encoded value (0-1), only needed for the parametric curves of the built-in spaces
+     */
+    static invertCurve(curve, y) {
+        const [g, a, b, c, d, e, f] = curve.params;
+        if (y >= c * d + f) {
+            return (Math.pow(Math.max(0, y - e), 1 / g) - b) / a;
+        }
+        return c ? (y - f) / c : 0;
+    }
+
+    // ===== Conversion =====
+
+    /**
+     * Decode tables per channel, one RGB -> RGB matrix through XYZ, encode tables per channel
+     */
+    _createTransform(from, to, levels) {
+        const fromCurves = from.curves || [from.curve, from.curve, from.curve];
+        const toCurve = to.curve;
+        const size = levels > 256 ? 65536 : 4096;
+
+        const decode = fromCurves.map(curve => {
+            const table = new Float32Array(levels);
+            for (let i = 0; i < levels; i++) {
+                table[i] = ColorManager.evaluateCurve(curve, i / (levels - 1));
+            }
+            return table;
+        });
+
+        const encode = new Float32Array(size + 1);
+        for (let i = 0; i <= size; i++) {
+            encode[i] = ColorManager.invertCurve(toCurve, i / size) * (levels - 1);
+        }
+
+        return { decode, encode, size, matrix: this._multiply(this._invert(to.matrix), from.matrix) };
+    }
+
+    _convertPixels(data, stride, transform) {
+        const { decode, encode, size, matrix: m } = transform;
+
+        // Colors outside the target gamut are clipped per channel
+        const toEncoded = (value) => {
+            const position = (value <= 0 ? 0 : value >= 1 ? 1 : value) * size;
+            const index = Math.min(size - 1, Math.floor(position));
+            return Math.round(encode[index] + (encode[index + 1] - encode[index]) * (position - index));
+        };
+
+        for (let i = 0; i < data.length; i += stride) {
+            const r = decode[0][data[i]];
+            const g = decode[1][data[i + 1]];
+            const b = decode[2][data[i + 2]];
+
+            data[i] = toEncoded(m[0] * r + m[1] * g + m[2] * b);
+            data[i + 1] = toEncoded(m[3] * r + m[4] * g + m[5] * b);
+            data[i + 2] = toEncoded(m[6] * r + m[7] * g + m[8] * b);
+        }
+    }
+
+    _multiply(a, b) {
+        const result = new Array(9);
+        for (let row = 0; row < 3; row++) {
+            for (let column = 0; column < 3; column++) {
+                result[row * 3 + column] =
+                    a[row * 3] * b[column] + a[row * 3 + 1] * b[3 + column] + a[row * 3 + 2] * b[6 + column];
+            }
+        }
+        return result;
+    }
+
+    _invert(m) {
+        const [a, b, c, d, e, f, g, h, i] = m;
+        const A = e * i - f * h;
+        const B = f * g - d * i;
+        const C = d * h - e * g;
+        const det = a * A + b * B + c * C;
+
+        return [
+            A / det, (c * h - b * i) / det, (b * f - c * e) / det,
+            B / det, (a * i - c * g) / det, (c * d - a * f) / det,
+            C / det, (b * g - a * h) / det, (a * e - b * d) / det
+        ];
+    }
+
+    // ===== ICC parsing =====
+
+    /**
+     * Use the built-in space when an embedded profile is one of them (sRGB needs no conversion at all)
+     */
+    _identify(profile) {
+        const samples = [0.05, 0.2, 0.5, 0.8];
+
+        const match = Object.values(ColorManager.SPACES).find(space =>
+            space.matrix.every((value, i) => Math.abs(value - profile.matrix[i]) < 0.003) &&
+            profile.curves.every(curve => samples.every(x =>
+                Math.abs(ColorManager.evaluateCurve(curve, x) - ColorManager.evaluateCurve(space.curve, x)) < 0.003
+            ))
+        );
+
+        return match || profile;
+    }
+
+    _readICCCurve(bytes, offset) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+        if (type === 'curv') {
+            const count = view.getUint32(offset + 8);
+            if (count === 0) return { params: [1, 1, 0, 0, 0, 0, 0] };
+            if (count === 1) return { params: [view.getUint16(offset + 12) / 256, 1, 0, 0, 0, 0, 0] };
+
+            const table = new Float32Array(count);
+            for (let i = 0; i < count; i++) {
+                table[i] = view.getUint16(offset + 12 + i * 2) / 65535;
+            }
+            return { table };
+        }
+
+        if (type === 'para') {
+            const functionType = view.getUint16(offset + 8);
+            const count = [1, 3, 4, 5, 7][functionType] || 0;
+            const p = Array.from({ length: count }, (value, i) => view.getInt32(offset + 12 + i * 4) / 65536);
+
+            // All function types written as the general Y = (aX + b)^g + e for X >= d, else Y = cX + f
+            switch (functionType) {
+                case 0: return { params: [p[0], 1, 0, 0, 0, 0, 0] };
+                case 1: return { params: [p[0], p[1], p[2], 0, -p[2] / p[1], 0, 0] };
+                case 2: return { params: [p[0], p[1], p[2], 0, -p[2] / p[1], p[3], p[3]] };
+                case 3: return { params: [p[0], p[1], p[2], p[3], p[4], 0, 0] };
+                case 4: return { params: p };
+            }
+        }
+
+        throw new Error(`Unsupported ICC curve type: ${type}`);
+    }
+
+    /**
+     * Profile name from a v2 textDescription or a v4 multiLocalizedUnicode tag
+     */
+    _readICCDescription(bytes, offset) {
+        if (offset === undefined) return '';
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const type = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+        if (type === 'desc') {
+            const length = view.getUint32(offset + 8);
+            return String.fromCharCode(...bytes.subarray(offset + 12, offset + 12 + length)).replace(/\0+$/, '').trim();
+        }
+
+        if (type === 'mluc' && view.getUint32(offset + 8) > 0) {
+            const length = view.getUint32(offset + 20);
+            const start = offset + view.getUint32(offset + 24);
+            return new TextDecoder('utf-16be').decode(bytes.subarray(start, start + length)).replace(/\0+$/, '').trim();
+        }
+
+        return '';
+    }
+
+    // ===== Containers =====
+
+    /**
+     * JPEG: ICC profile split over APP2 segments, or the EXIF color space (cameras mark Adobe RGB there)
+     */
+    async _readJPEGProfile(read) {
+        const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+        const chunks = [];
+        let exifColorSpace = null;
+        let offset = 2;
+
+        while (true) {
+            const segment = await read(offset, 4);
+            if (segment.length < 4 || segment[0] !== 0xFF) break;
+
+            const marker = segment[1];
+            const length = (segment[2] << 8) | segment[3];
+
+            // Start of scan, no more metadata after this
+            if (marker === 0xDA) break;
+
+            if (marker === 0xE1 || marker === 0xE2) {
+                const data = await read(offset + 4, length - 2);
+                if (marker === 0xE2 && ascii(data, 0, 12) === 'ICC_PROFILE\0') {
+                    chunks[data[12] - 1] = data.subarray(14);
+                }
+                if (marker === 0xE1 && ascii(data, 0, 6) === 'Exif\0\0') {
+                    exifColorSpace = ExifReader.getColorSpace(data.subarray(6));
+                }
+            }
+            offset += 2 + length;
+        }
+
+        if (chunks.length > 0) {
+            const profile = new Uint8Array(chunks.reduce((total, chunk) => total + (chunk ? chunk.length : 0), 0));
+            let position = 0;
+            chunks.forEach(chunk => {
+                if (!chunk) return;
+                profile.set(chunk, position);
+                position += chunk.length;
+            });
+            return this.readICCProfile(profile);
+        }
+
+        return exifColorSpace === 'adobe-rgb' ? ColorManager.SPACES['adobe-rgb'] : null;
+    }
+
+    /**
+     * PNG: zlib compressed iCCP chunk
+     */
+    async _readPNGProfile(read) {
+        let offset = 8;
+
+        while (true) {
+            const chunk = await read(offset, 8);
+            if (chunk.length < 8) break;
+
+            const length = new DataView(chunk.buffer, chunk.byteOffset, 8).getUint32(0);
+            const type = String.fromCharCode(...chunk.subarray(4, 8));
+
+            if (type === 'iCCP') {
+                const data = await read(offset + 8, length);
+                // Profile name, null separator, compression method, compressed profile
+                const compressed = data.subarray(data.indexOf(0) + 2);
+                const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate'));
+                return this.readICCProfile(new Uint8Array(await new Response(stream).arrayBuffer()));
+            }
+            if (type === 'IDAT') break;
+            offset += 12 + length;
+        }
+
+        return null;
+    }
+
+    /**
+     * WebP: ICCP chunk of the extended format
+     */
+    async _readWebPProfile(read) {
+        let offset = 12;
+
+        while (true) {
+            const chunk = await read(offset, 8);
+            if (chunk.length < 8) break;
+
+            const length = new DataView(chunk.buffer, chunk.byteOffset, 8).getUint32(4, true);
+            if (String.fromCharCode(...chunk.subarray(0, 4)) === 'ICCP') {
+                return this.readICCProfile(await read(offset + 8, length));
+            }
+            offset += 8 + length + (length & 1);
+        }
+
+        return null;
+    }
+
+    /**
+     * HEIC/AVIF: 'colr' property in the meta box, an ICC profile or nclx code points
+     */
+    async _readBMFFProfile(read) {
+        let offset = 0;
+
+        while (true) {
+            const box = await read(offset, 16);
+            if (box.length < 8) break;
+
+            const boxView = new DataView(box.buffer, box.byteOffset, box.byteLength);
+            let size = boxView.getUint32(0);
+            if (size === 1 && box.length === 16) size = Number(boxView.getBigUint64(8));
+            // Size 0 runs to the end of the file, only the image data (mdat) does that
+            if (size < 8) break;
+
+            if (String.fromCharCode(...box.subarray(4, 8)) === 'meta') {
+                const bytes = await read(offset, size);
+                const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+                const ascii = (position, length) => String.fromCharCode(...bytes.subarray(position, position + length));
+                const end = bytes.length;
+
+                for (let position = 8; position + 12 <= end; position++) {
+                    if (bytes[position] !== 0x63 || ascii(position, 4) !== 'colr') continue;
+
+                    const boxEnd = position - 4 + view.getUint32(position - 4);
+                    const colorType = ascii(position + 4, 4);
+
+                    if (colorType === 'prof' || colorType === 'rICC') {
+                        return this.readICCProfile(bytes.slice(position + 8, boxEnd));
+                    }
+                    // nclx colour primaries 12 = P3 D65 (iPhone), the rest is treated as sRGB
+                    if (colorType === 'nclx') {
+                        return view.getUint16(position + 8) === 12 ? ColorManager.SPACES['display-p3'] : null;
+                    }
+                }
+                return null;
+            }
+
+            offset += size;
+        }
+
+        return null;
+    }
+}
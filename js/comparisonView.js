@@ -0,0 +1,509 @@
+/**
+ * Fujifilm Grain Simulator - Comparison View Module
+ *
+ * @description Before/after comparison of the original image and processed canvas: side-by-side, wipe and press-and-hold toggle with synchronized pixel zoom, pan and a loupe
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class ComparisonView {
+    /**
+     * onLayoutChange: the processed view changed size.
+     * onViewportChange: zoom, pan or the loupe moved, full-resolution detail may be needed.
+     */
+    constructor(elements, onLayoutChange = null, onViewportChange = null) {
+        this.container = elements.container;
+        this.original = elements.original;
+        this.processed = elements.processed;
+        this.toolbar = elements.toolbar;
+        this.zoomLabel = elements.zoomLabel;
+        this.onLayoutChange = onLayoutChange;
+        this.onViewportChange = onViewportChange;
+
+        this.originalWrapper = this.original.parentElement;
+        this.processedWrapper = this.processed.parentElement;
+
+        this.mode = 'side-by-side';
+        this.wipePosition = 0.5;
+        this.showingOriginal = false;
+
+        // Zoom relative to "fit", pan as a fraction of the image size (same for both views)
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.minScale = 1;
+        this.imageSize = null;
+
+        // Pixel zoom: 1 = one image pixel per screen pixel (100%)
+        this.zoomPresets = [1, 2, 4];
+        this.maxPixelZoom = 4;
+
+        // Full-resolution renders of part of the image, rect in image fractions
+        this.region = null;
+        this.loupeDetail = null;
+
+        this.loupeEnabled = false;
+        this.loupeSize = 180;
+        this.loupeZoom = 2;
+        this.loupePoint = null;
+
+        this.drag = null;
+
+        this._createDivider();
+        this._createRegionLayer();
+        this._createLoupe();
+        this._bindEvents();
+        this.setMode(this.mode);
+    }
+
+    static get MODES() {
+        return ['side-by-side', 'wipe', 'toggle'];
+    }
+
+    setMode(mode) {
+        if (!ComparisonView.MODES.includes(mode)) return;
+
+        const layoutChanged = (mode === 'side-by-side') !== (this.mode === 'side-by-side');
+        this.mode = mode;
+
+        ComparisonView.MODES.forEach(item => this.container.classList.toggle(`mode-${item}`, item === mode));
+        this.toolbar.querySelectorAll('[data-compare-mode]').forEach(button => {
+            button.classList.toggle('active', button.dataset.compareMode === mode);
+        });
+
+        this._setShowingOriginal(false);
+        this._applyWipe();
+
+        // The processed view changes size between stacked and side-by-side layouts
+        if (layoutChanged && this.onLayoutChange) {
+            this.onLayoutChange();
+        }
+    }
+
+    setWipePosition(fraction) {
+        this.wipePosition = Math.max(0, Math.min(1, fraction));
+        this._applyWipe();
+    }
+
+    /**
+     * Natural size of the photo, needed to express zoom in image pixels
+     */
+    setImageSize(width, height) {
+        this.imageSize = { width, height };
+        this.clearDetail();
+        this.resetZoom();
+    }
+
+    /**
+     * Zoom both views; anchor is a point of the view (0-1 of its size) that stays in place
+     */
+    setZoom(scale, anchor = { x: 0.5, y: 0.5 }) {
+        const newScale = Math.max(this.minScale, Math.min(this._getMaxScale(), scale));
+        const ratio = newScale / this.zoom.scale;
+
+        this.zoom.x = anchor.x - (anchor.x - this.zoom.x) * ratio;
+        this.zoom.y = anchor.y - (anchor.y - this.zoom.y) * ratio;
+        this.zoom.scale = newScale;
+
+        this._applyTransform();
+    }
+
+    /**
+     * Zoom in image pixels per screen pixel (1 = 100%, 2 = 200%, ...)
+     */
+    setPixelZoom(pixelZoom, anchor) {
+        this.setZoom(pixelZoom / this.getFitPixelZoom(), anchor);
+    }
+
+    getPixelZoom() {
+        return this.zoom.scale * this.getFitPixelZoom();
+    }
+
+    /**
+     * Pixel zoom of the "fit" view, e.g. 0.25 when a 6000px photo fits 1500 screen pixels
+     */
+    getFitPixelZoom() {
+        if (!this.imageSize) return 1;
+
+        const viewPixels = (this.processed.offsetWidth || this.imageSize.width) * (window.devicePixelRatio || 1);
+        return viewPixels / this.imageSize.width;
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this._applyTransform();
+    }
+
+    /**
+     * Part of the image inside the view, in image fractions
+     */
+    getVisibleRegion() {
+        const { scale, x, y } = this.zoom;
+        return { x: -x / scale, y: -y / scale, width: 1 / scale, height: 1 / scale };
+    }
+
+    /**
+     * Part of the image shown in the loupe (image fractions), null when the loupe is hidden
+     */
+    getLoupeRegion() {
+        if (!this.loupePoint || !this.imageSize) return null;
+
+        const halfPixels = this.loupeSize * (window.devicePixelRatio || 1) / this.loupeZoom / 2;
+        const halfWidth = halfPixels / this.imageSize.width;
+        const halfHeight = halfPixels / this.imageSize.height;
+        const { x, y } = this.loupePoint.image;
+
+        return { x: x - halfWidth, y: y - halfHeight, width: halfWidth * 2, height: halfHeight * 2 };
+    }
+
+    /**
+     * Show a full-resolution render of the visible region on top of the (downscaled) processed view
+     */
+    showRegion(canvas, rect) {
+        this.region = { canvas, rect };
+
+        this.regionLayer.width = canvas.width;
+        this.regionLayer.height = canvas.height;
+        this.regionLayer.getContext('2d').drawImage(canvas, 0, 0);
+        this.regionLayer.classList.remove('d-none');
+
+        this._positionRegion();
+        this._drawLoupe();
+    }
+
+    setLoupeDetail(canvas, rect) {
+        this.loupeDetail = { canvas, rect };
+        this._drawLoupe();
+    }
+
+    /**
+     * Drop region and loupe renders, e.g. when the full-resolution result is shown
+     */
+    clearDetail() {
+        this.region = null;
+        this.loupeDetail = null;
+        this.regionLayer.classList.add('d-none');
+        this._drawLoupe();
+    }
+
+    setLoupeEnabled(enabled) {
+        this.loupeEnabled = enabled;
+        this.toolbar.querySelectorAll('[data-loupe]').forEach(button => {
+            button.classList.toggle('active', enabled);
+            button.setAttribute('aria-pressed', enabled);
+        });
+
+        if (!enabled) this._hideLoupe();
+    }
+
+    _createDivider() {
+        this.divider = document.createElement('div');
+        this.divider.className = 'comparison-divider';
+        this.divider.setAttribute('role', 'slider');
+        this.divider.setAttribute('aria-label', 'Before/after divider');
+        this.divider.tabIndex = 0;
+        this.divider.innerHTML = '<span class="comparison-divider-handle"><i class="fas fa-arrows-alt-h"></i></span>';
+
+        // On the container so it stays above the stacked original
+        this.container.appendChild(this.divider);
+    }
+
+    _createRegionLayer() {
+        this.regionLayer = document.createElement('canvas');
+        this.regionLayer.className = 'comparison-region d-none';
+        this.processedWrapper.appendChild(this.regionLayer);
+    }
+
+    _createLoupe() {
+        this.loupe = document.createElement('canvas');
+        this.loupe.className = 'comparison-loupe d-none';
+        this.container.appendChild(this.loupe);
+    }
+
+    _bindEvents() {
+        this.toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.dataset.compareMode) {
+                this.setMode(button.dataset.compareMode);
+            } else if (button.dataset.loupe !== undefined) {
+                this.setLoupeEnabled(!this.loupeEnabled);
+            } else if (button.dataset.zoom === 'in') {
+                this.setZoom(this.zoom.scale * 2);
+            } else if (button.dataset.zoom === 'out') {
+                this.setZoom(this.zoom.scale / 2);
+            } else if (button.dataset.zoom === 'fit') {
+                this.resetZoom();
+            } else if (button.dataset.zoom) {
+                this.setPixelZoom(parseFloat(button.dataset.zoom));
+            }
+        });
+
+        this.container.addEventListener('pointerdown', (e) => this._handlePointerDown(e));
+        this.container.addEventListener('pointermove', (e) => !this.drag && this._updateLoupe(e));
+        this.container.addEventListener('pointerleave', () => this._hideLoupe());
+        window.addEventListener('pointermove', (e) => this._handlePointerMove(e));
+        window.addEventListener('pointerup', () => this._handlePointerUp());
+        window.addEventListener('pointercancel', () => this._handlePointerUp());
+
+        this.container.addEventListener('wheel', (e) => {
+            const wrapper = e.target.closest('.image-wrapper');
+            if (!wrapper) return;
+
+            e.preventDefault();
+            this.setZoom(this.zoom.scale * (e.deltaY < 0 ? 1.25 : 0.8), this._getViewPoint(e, wrapper));
+            this._updateLoupe(e);
+        }, { passive: false });
+
+        // Viewport size follows the layout, pixel zoom and region have to follow too
+        window.addEventListener('resize', () => this._applyTransform());
+
+        this.divider.addEventListener('keydown', (e) => {
+            const step = e.shiftKey ? 0.1 : 0.02;
+            if (e.key === 'ArrowLeft') this.setWipePosition(this.wipePosition - step);
+            if (e.key === 'ArrowRight') this.setWipePosition(this.wipePosition + step);
+        });
+
+        // Hold "\" to see the original in any mode (like Lightroom)
+        window.addEventListener('keydown', (e) => {
+            if (e.key === '\\' && !this._isTyping(e)) this._setShowingOriginal(true);
+        });
+        window.addEventListener('keyup', (e) => {
+            if (e.key === '\\') this._setShowingOriginal(false);
+        });
+    }
+
+    _handlePointerDown(e) {
+        if (e.button !== 0) return;
+
+        if (e.target.closest('.comparison-divider')) {
+            e.preventDefault();
+            this.drag = { type: 'wipe', wrapper: this.container };
+            return;
+        }
+
+        const wrapper = e.target.closest('.image-wrapper');
+        if (!wrapper) return;
+
+        e.preventDefault();
+
+        if (this.mode === 'toggle') {
+            this._setShowingOriginal(true);
+        }
+
+        this.drag = { type: 'pan', wrapper, lastX: e.clientX, lastY: e.clientY };
+    }
+
+    _handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const rect = this.drag.wrapper.getBoundingClientRect();
+
+        if (this.drag.type === 'wipe') {
+            this.setWipePosition((e.clientX - rect.left) / rect.width);
+            return;
+        }
+
+        // Pan in image fractions so both views move together
+        this.zoom.x += (e.clientX - this.drag.lastX) / rect.width;
+        this.zoom.y += (e.clientY - this.drag.lastY) / rect.height;
+        this.drag.lastX = e.clientX;
+        this.drag.lastY = e.clientY;
+        this._applyTransform();
+        this._updateLoupe(e);
+    }
+
+    _handlePointerUp() {
+        if (!this.drag) return;
+
+        this.drag = null;
+        if (this.mode === 'toggle') {
+            this._setShowingOriginal(false);
+        }
+    }
+
+    _setShowingOriginal(showing) {
+        this.showingOriginal = showing;
+        this.container.classList.toggle('showing-original', showing);
+        this._drawLoupe();
+    }
+
+    _applyWipe() {
+        const percent = this.wipePosition * 100;
+        this.originalWrapper.style.clipPath = this.mode === 'wipe' ? `inset(0 ${100 - percent}% 0 0)` : '';
+        this.divider.style.left = `${percent}%`;
+        this.divider.setAttribute('aria-valuenow', Math.round(percent));
+    }
+
+    /**
+     * Same transform on both elements keeps the views in sync
+     */
+    _applyTransform() {
+        const { scale } = this.zoom;
+
+        // Keep the image covering the view
+        this.zoom.x = Math.min(0, Math.max(1 - scale, this.zoom.x));
+        this.zoom.y = Math.min(0, Math.max(1 - scale, this.zoom.y));
+
+        const transform = scale === 1
+            ? ''
+            : `translate(${this.zoom.x * 100}%, ${this.zoom.y * 100}%) scale(${scale})`;
+
+        this.original.style.transform = transform;
+        this.processed.style.transform = transform;
+        this.container.classList.toggle('zoomed', scale > 1);
+
+        // Past 100% show crisp pixels instead of a smoothed blow-up
+        const pixelZoom = this.getPixelZoom();
+        this.container.classList.toggle('pixel-zoom', pixelZoom > 1.01);
+
+        if (this.zoomLabel) {
+            this.zoomLabel.textContent = scale === 1 ? 'Fit' : `${Math.round(pixelZoom * 100)}%`;
+        }
+
+        this.toolbar.querySelectorAll('[data-zoom]').forEach(button => {
+            const preset = parseFloat(button.dataset.zoom);
+            if (Number.isFinite(preset)) {
+                button.classList.toggle('active', scale > 1 && Math.abs(pixelZoom - preset) < 0.01);
+            }
+        });
+
+        this._positionRegion();
+        if (this.onViewportChange) this.onViewportChange();
+    }
+
+    /**
+     * Region layer uses the same mapping as the zoom transform, so it moves while panning
+     */
+    _positionRegion() {
+        if (!this.region) return;
+
+        // The fit view is the downscaled preview itself
+        if (this.zoom.scale === 1) {
+            this.region = null;
+            this.regionLayer.classList.add('d-none');
+            return;
+        }
+
+        const { scale, x, y } = this.zoom;
+        const { rect } = this.region;
+        const style = this.regionLayer.style;
+
+        style.left = `${(x + rect.x * scale) * 100}%`;
+        style.top = `${(y + rect.y * scale) * 100}%`;
+        style.width = `${rect.width * scale * 100}%`;
+        style.height = `${rect.height * scale * 100}%`;
+    }
+
+    _getMaxScale() {
+        return Math.max(this.minScale, this.maxPixelZoom / this.getFitPixelZoom());
+    }
+
+    _updateLoupe(e) {
+        if (!this.loupeEnabled || !this.imageSize) return;
+
+        const wrapper = e.target.closest('.image-wrapper');
+        if (!wrapper) {
+            this._hideLoupe();
+            return;
+        }
+
+        // Point under the pointer in image fractions (undo pan and zoom)
+        const view = this._getViewPoint(e, wrapper);
+        const image = {
+            x: (view.x - this.zoom.x) / this.zoom.scale,
+            y: (view.y - this.zoom.y) / this.zoom.scale
+        };
+
+        if (image.x < 0 || image.x > 1 || image.y < 0 || image.y > 1) {
+            this._hideLoupe();
+            return;
+        }
+
+        const containerRect = this.container.getBoundingClientRect();
+        this.loupePoint = {
+            image,
+            original: wrapper === this.originalWrapper,
+            left: e.clientX - containerRect.left,
+            top: e.clientY - containerRect.top
+        };
+
+        this.loupe.style.left = `${this.loupePoint.left}px`;
+        this.loupe.style.top = `${this.loupePoint.top}px`;
+        this.loupe.classList.remove('d-none');
+
+        this._drawLoupe();
+        if (this.onViewportChange) this.onViewportChange();
+    }
+
+    _hideLoupe() {
+        if (!this.loupePoint) return;
+
+        this.loupePoint = null;
+        this.loupeDetail = null;
+        this.loupe.classList.add('d-none');
+    }
+
+    /**
+     * Draw the loupe from the sharpest source that covers the point under the pointer
+     */
+    _drawLoupe() {
+        if (!this.loupePoint) return;
+
+        const dpr = window.devicePixelRatio || 1;
+        const size = Math.round(this.loupeSize * dpr);
+        const { x, y } = this.loupePoint.image;
+        const showOriginal = this.loupePoint.original || this.showingOriginal;
+
+        const fullFrame = { x: 0, y: 0, width: 1, height: 1 };
+        const sources = showOriginal
+            ? [{ canvas: this.original, rect: fullFrame }]
+            : [this.loupeDetail, this.region, { canvas: this.processed, rect: fullFrame }];
+
+        const source = sources
+            .filter(item => item && this._rectContains(item.rect, x, y))
+            .reduce((best, item) => (!best || this._getResolution(item) > this._getResolution(best) ? item : best), null);
+
+        this.loupe.width = size;
+        this.loupe.height = size;
+        this.loupe.style.width = `${this.loupeSize}px`;
+        this.loupe.style.height = `${this.loupeSize}px`;
+
+        const ctx = this.loupe.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, size, size);
+        if (!source) return;
+
+        // Source pixels per image pixel, then enough of them to fill the loupe at loupeZoom
+        const resolution = this._getResolution(source);
+        const sourceSize = size / this.loupeZoom * resolution;
+        const { canvas, rect } = source;
+        const width = canvas.naturalWidth || canvas.width;
+        const height = canvas.naturalHeight || canvas.height;
+        const centerX = (x - rect.x) / rect.width * width;
+        const centerY = (y - rect.y) / rect.height * height;
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(canvas, centerX - sourceSize / 2, centerY - sourceSize / 2, sourceSize, sourceSize, 0, 0, size, size);
+    }
+
+    _getResolution(source) {
+        const width = source.canvas.naturalWidth || source.canvas.width;
+        return width / (source.rect.width * this.imageSize.width);
+    }
+
+    _rectContains(rect, x, y) {
+        return x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height;
+    }
+
+    _getViewPoint(e, wrapper) {
+        const rect = wrapper.getBoundingClientRect();
+        return { x: (e.clientX - rect.left) / rect.width, y: (e.clientY - rect.top) / rect.height };
+    }
+
+    _isTyping(e) {
+        return ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName);
+    }
+}
@@ -16,14 +16,17 @@ class ExifReader {
         console.log('EXIF available:', this.available);
     }
 
-    async getExifData(file) {
+    /**
+     * header (optional, see ImageDecoder.readHeader): EXIF.js only needs the start of the file
+     */
+    async getExifData(file, header = null) {
         if (!this.available) {
             console.warn('EXIF.js not available');
             return null;
         }
 
         return new Promise((resolve) => {
-            EXIF.getData(file, function() {
+            EXIF.getData(header ? new Blob([header]) : file, function() {
                 try {
                     const exifData = {
                         iso: EXIF.getTag(this, 'ISOSpeedRatings'),
@@ -52,6 +55,193 @@ class ExifReader {
         });
     }
 
+    /**
+     * Raw EXIF block (TIFF header + IFDs) of a JPEG, PNG, WebP or RAF file, or null.
+     * Used to write the original metadata back into the export.
+     * header (optional, see ImageDecoder.readHeader) is the start of the file, parts past it are sliced.
+     */
+    async getRawExif(file, header = null) {
+        try {
+            header = header || await ImageDecoder.readHeader(file);
+            const read = (offset, length) => ImageDecoder.readRange(file, header, offset, length);
+            const ascii = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+            // Fujifilm RAF: EXIF lives in the embedded JPEG preview (offset at byte 84)
+            let start = 0;
+            if (ascii(header, 0, 15) === 'FUJIFILMCCD-RAW') {
+                const pointer = await read(84, 4);
+                start = new DataView(pointer.buffer, pointer.byteOffset, 4).getUint32(0);
+            }
+            const magic = await read(start, 2);
+
+            // JPEG: APP1 segment starting with "Exif\0\0"
+            if (magic[0] === 0xFF && magic[1] === 0xD8) {
+                let offset = start + 2;
+                while (true) {
+                    const segment = await read(offset, 4);
+                    if (segment.length < 4 || segment[0] !== 0xFF) break;
+
+                    const marker = segment[1];
+                    const length = (segment[2] << 8) | segment[3];
+
+                    if (marker === 0xE1) {
+                        const data = await read(offset + 4, length - 2);
+                        if (ascii(data, 0, 6) === 'Exif\0\0') return data.slice(6);
+                    }
+                    // Start of scan, no more metadata after this
+                    if (marker === 0xDA) break;
+                    offset += 2 + length;
+                }
+                return null;
+            }
+
+            // PNG: eXIf chunk, written before the image data
+            if (ascii(header, 1, 3) === 'PNG') {
+                const data = await this._findPNGChunk(read, 'eXIf');
+                return data ? data.slice() : null;
+            }
+
+            // WebP: EXIF chunk (some writers keep the "Exif\0\0" prefix)
+            if (ascii(header, 0, 4) === 'RIFF' && ascii(header, 8, 4) === 'WEBP') {
+                let offset = 12;
+                while (true) {
+                    const chunk = await read(offset, 8);
+                    if (chunk.length < 8) break;
+
+                    const length = new DataView(chunk.buffer, chunk.byteOffset, 8).getUint32(4, true);
+                    if (ascii(chunk, 0, 4) === 'EXIF') {
+                        const data = await read(offset + 8, length);
+                        return data.slice(ascii(data, 0, 6) === 'Exif\0\0' ? 6 : 0);
+                    }
+                    offset += 8 + length + (length & 1);
+                }
+            }
+
+            return null;
+
+        } catch (error) {
+            console.error('Raw EXIF reading error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Text stored by an editor: PNG tEXt chunk with this keyword, otherwise the EXIF UserComment
+     */
+    async getEmbeddedText(file, pngKeyword, header = null) {
+        try {
+            header = header || await ImageDecoder.readHeader(file);
+
+            if (String.fromCharCode(...header.subarray(1, 4)) === 'PNG') {
+                const read = (offset, length) => ImageDecoder.readRange(file, header, offset, length);
+                const keyword = (data) => String.fromCharCode(...data.subarray(0, Math.max(0, data.indexOf(0))));
+                const data = await this._findPNGChunk(read, 'tEXt', (chunk) => keyword(chunk) === pngKeyword);
+                if (data) {
+                    return new TextDecoder('latin1').decode(data.subarray(data.indexOf(0) + 1));
+                }
+            }
+
+            const exif = await this.getRawExif(file, header);
+            return exif ? this._readUserComment(exif) : null;
+
+        } catch (error) {
+            console.error('Embedded text reading error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Data of the first chunk of this type before the image data (IDAT) that matches, or null
+     */
+    async _findPNGChunk(read, chunkType, matches = () => true) {
+        let offset = 8;
+
+        while (true) {
+            const chunk = await read(offset, 8);
+            if (chunk.length < 8) return null;
+
+            const length = new DataView(chunk.buffer, chunk.byteOffset, 8).getUint32(0);
+            const type = String.fromCharCode(...chunk.subarray(4, 8));
+            if (type === 'IDAT') return null;
+
+            if (type === chunkType) {
+                const data = await read(offset + 8, length);
+                if (matches(data)) return data;
+            }
+            offset += 12 + length;
+        }
+    }
+
+    /**
+     * Color space declared in a TIFF/EXIF block: 'srgb', 'adobe-rgb' or null.
+     * DCF marks Adobe RGB as ColorSpace "uncalibrated" (0xFFFF) with the interop index R03.
+     */
+    static getColorSpace(tiff) {
+        try {
+            const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+            const little = tiff[0] === 0x49; // "II"
+            const findTag = (ifdOffset, tag) => ExifReader._findTag(view, little, ifdOffset, tag);
+
+            const exifPointer = findTag(view.getUint32(4, little), 0x8769);
+            if (!exifPointer) return null;
+
+            const exifOffset = view.getUint32(exifPointer.valueOffset, little);
+            const colorSpace = findTag(exifOffset, 0xA001);
+            if (!colorSpace) return null;
+            if (view.getUint16(colorSpace.valueOffset, little) === 1) return 'srgb';
+
+            const interopPointer = findTag(exifOffset, 0xA005);
+            const index = interopPointer && findTag(view.getUint32(interopPointer.valueOffset, little), 0x0001);
+            if (index && String.fromCharCode(...tiff.subarray(index.valueOffset, index.valueOffset + 3)) === 'R03') {
+                return 'adobe-rgb';
+            }
+            return null;
+
+        } catch (error) {
+            console.error('EXIF color space reading error:', error);
+            return null;
+        }
+    }
+
+    static _findTag(view, little, ifdOffset, tag) {
+        const count = view.getUint16(ifdOffset, little);
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            if (view.getUint16(entry, little) === tag) {
+                return {
+                    type: view.getUint16(entry + 2, little),
+                    count: view.getUint32(entry + 4, little),
+                    valueOffset: entry + 8
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * UserComment (0x9286) from the Exif sub-IFD of a TIFF block
+     */
+    _readUserComment(tiff) {
+        const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+        const little = tiff[0] === 0x49; // "II"
+        const findTag = (ifdOffset, tag) => ExifReader._findTag(view, little, ifdOffset, tag);
+
+        const exifPointer = findTag(view.getUint32(4, little), 0x8769);
+        if (!exifPointer) return null;
+
+        const comment = findTag(view.getUint32(exifPointer.valueOffset, little), 0x9286);
+        if (!comment || comment.count <= 8) return null;
+
+        // Values longer than 4 bytes are stored elsewhere, the entry holds their offset
+        const start = comment.count > 4 ? view.getUint32(comment.valueOffset, little) : comment.valueOffset;
+        const data = tiff.subarray(start, start + comment.count);
+        const charset = String.fromCharCode(...data.subarray(0, 8)).replace(/\0+$/, '');
+        const text = charset === 'UNICODE'
+            ? new TextDecoder(little ? 'utf-16le' : 'utf-16be').decode(data.subarray(8))
+            : new TextDecoder(charset === 'ASCII' ? 'latin1' : 'utf-8').decode(data.subarray(8));
+
+        return text.replace(/\0+$/, '').trim();
+    }
+
     formatExifDisplay(exifData) {
         if (!exifData) return 'Tidak ada data EXIF';
 
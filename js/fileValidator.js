@@ -10,82 +10,153 @@
  */
 
 class FileValidator {
-    constructor() {
-        this.supportedFormats = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-        this.maxFileSize = 10 * 1024 * 1024; // 10MB
+    constructor(options = {}) {
+        this.supportedFormats = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/avif', 'image/heic', 'image/heif', 'image/tiff'];
+
+        // Format sebenarnya ditentukan dari magic bytes, bukan dari MIME type
+        this.decoder = options.decoder || new ImageDecoder();
+
+        // Batas ukuran berdasarkan perkiraan memori, bukan ukuran file/pixel tetap
+        this.memoryBudget = options.memoryBudget || FileValidator.getDefaultMemoryBudget();
+        this.bytesPerPixel = 4; // RGBA 8-bit
+        this.workingCopies = 4; // decoded image, original canvas, processed canvas, displayed canvas
     }
 
-    validateFile(file) {
-        return new Promise((resolve, reject) => {
-            // Check file type
-            if (!this.supportedFormats.includes(file.type)) {
-                reject(new Error(`Format file tidak didukung. Gunakan: ${this.supportedFormats.join(', ')}`));
-                return;
-            }
-
-            // Check file size
-            if (file.size > this.maxFileSize) {
-                reject(new Error(`File terlalu besar. Maksimal: ${this.maxFileSize / 1024 / 1024}MB`));
-                return;
-            }
-
-            // Validate image menggunakan FileReader
-            this._validateWithFileReader(file)
-                .then(resolve)
-                .catch(reject);
-        });
+    /**
+     * Budget for decoded pixels, ~40% of the reported device memory (4GB when unknown)
+     */
+    static getDefaultMemoryBudget() {
+        const deviceMemory = (typeof navigator !== 'undefined' && navigator.deviceMemory) || 4;
+        return Math.round(deviceMemory * 0.4 * 1024 * 1024 * 1024);
+    }
+
+    setMemoryBudget(bytes) {
+        this.memoryBudget = bytes;
+    }
+
+    /**
+     * Bytes needed to hold the photo and its working canvases (tiles are small and not counted)
+     */
+    estimateMemory(width, height) {
+        return width * height * this.bytesPerPixel * this.workingCopies;
+    }
+
+    isRawFile(file) {
+        return RawDecoder.isRawFile(file);
+    }
+
+    /**
+     * Quick pre-filter by MIME type or extension (e.g. for folders), validateFile checks the content
+     */
+    isSupported(file) {
+        return this.supportedFormats.includes(file.type) || ImageDecoder.getFormatFromName(file.name) !== null;
+    }
+
+    /**
+     * Throw when the image is too small or does not fit the memory budget, returns the estimate.
+     * extraBytes covers buffers besides the canvases (e.g. decoded RAW data).
+     */
+    checkDimensions(width, height, extraBytes = 0) {
+        if (width < 10 || height < 10) {
+            throw new Error('Gambar terlalu kecil. Minimum 10x10 pixels.');
+        }
+
+        const estimatedMemory = this.estimateMemory(width, height) + extraBytes;
+        if (estimatedMemory > this.memoryBudget) {
+            throw new Error(`Gambar terlalu besar untuk memori perangkat ini (${width}x${height} px, butuh ~${this._formatFileSize(estimatedMemory)}, batas ${this._formatFileSize(this.memoryBudget)}).`);
+        }
+
+        return estimatedMemory;
+    }
+
+    /**
+     * header (opsional, lihat ImageDecoder.readHeader) dipakai ulang oleh pembaca metadata
+     */
+    async validateFile(file, header = null) {
+        // Check file type dari isi file
+        header = header || await ImageDecoder.readHeader(file);
+        const format = await this.decoder.sniff(file, header);
+        if (!format) {
+            const labels = Object.values(ImageDecoder.FORMATS).map(item => item.label);
+            throw new Error(`Format file tidak didukung. Gunakan: ${labels.join(', ')}`);
+        }
+
+        // RAW: dimensi baru diketahui setelah di-identify oleh RawDecoder
+        if (ImageDecoder.FORMATS[format].raw) {
+            return { file: file, raw: true, format: format };
+        }
+
+        // HEIC/TIFF di-decode dulu, profil warna selain sRGB dikonversi, format lain langsung dari file
+        let decoded;
+        try {
+            decoded = await this.decoder.decode(
+                file, format, (width, height, extraBytes) => this.checkDimensions(width, height, extraBytes), header
+            );
+        } catch (error) {
+            // heic2any menolak dengan object biasa, bukan Error
+            if (error instanceof Error) throw error;
+            throw new Error(`Gagal membaca file ${ImageDecoder.FORMATS[format].label}: ${error.message || error}`);
+        }
+
+        // Validate image menggunakan object URL (tanpa menyalin file ke data URL)
+        // TIFF 16-bit juga membawa pixel 16-bit (image) untuk mode high precision
+        const image = decoded.image || null;
+        return {
+            ...(await this._validateWithObjectURL(file, decoded.url, image ? image.data.byteLength : 0)),
+            format: format,
+            colorProfile: decoded.colorProfile,
+            image: image
+        };
     }
 
-    _validateWithFileReader(file) {
+    _validateWithObjectURL(file, url, extraBytes = 0) {
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                const img = new Image();
-                img.onload = () => {
-                    // Check minimum dimensions
-                    if (img.width < 10 || img.height < 10) {
-                        reject(new Error('Gambar terlalu kecil. Minimum 10x10 pixels.'));
-                        return;
-                    }
-
-                    // Check maximum dimensions (performance limit)
-                    if (img.width > 5000 || img.height > 5000) {
-                        reject(new Error('Gambar terlalu besar. Maksimal 5000x5000 pixels.'));
-                        return;
-                    }
-
-                    resolve({
-                        file: file,
-                        width: img.width,
-                        height: img.height,
-                        aspectRatio: (img.width / img.height).toFixed(2),
-                        dataUrl: e.target.result // Simpan data URL untuk digunakan nanti
-                    });
-                };
-
-                img.onerror = () => {
-                    reject(new Error('File gambar corrupt atau tidak valid.'));
-                };
-
-                img.src = e.target.result;
+            const img = new Image();
+
+            const fail = (message) => {
+                URL.revokeObjectURL(url);
+                reject(new Error(message));
+            };
+
+            img.onload = () => {
+                const width = img.naturalWidth;
+                const height = img.naturalHeight;
+
+                // Check minimum dimensions and memory estimate (performance limit)
+                let estimatedMemory;
+                try {
+                    estimatedMemory = this.checkDimensions(width, height, extraBytes);
+                } catch (error) {
+                    fail(error.message);
+                    return;
+                }
+
+                resolve({
+                    file: file,
+                    width: width,
+                    height: height,
+                    aspectRatio: (width / height).toFixed(2),
+                    url: url, // Object URL, di-revoke oleh pemakai setelah selesai
+                    estimatedMemory: estimatedMemory
+                });
             };
 
-            reader.onerror = () => {
-                reject(new Error('Gagal membaca file.'));
+            img.onerror = () => {
+                fail('File gambar corrupt atau tidak valid.');
             };
 
-            reader.readAsDataURL(file);
+            img.src = url;
         });
     }
 
     getFileInfo(file, dimensions) {
         return {
             name: file.name,
-            type: file.type,
+            type: file.type || (dimensions.format ? ImageDecoder.FORMATS[dimensions.format].label : ''),
             size: this._formatFileSize(file.size),
             dimensions: `${dimensions.width} x ${dimensions.height} px`,
-            aspectRatio: dimensions.aspectRatio
+            aspectRatio: dimensions.aspectRatio,
+            colorProfile: dimensions.colorProfile ? `${dimensions.colorProfile} → sRGB` : 'sRGB'
         };
     }
 
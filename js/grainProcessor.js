@@ -11,164 +11,16 @@
  
 class GrainProcessor {
     constructor() {
-        this.canvas = document.createElement('canvas');
-        this.ctx = this.canvas.getContext('2d');
-    }
-
-    async applyGrain(imageElement, settings) {
-        return new Promise((resolve) => {
-            const width = imageElement.naturalWidth;
-            const height = imageElement.naturalHeight;
-
-            // Set canvas size
-            this.canvas.width = width;
-            this.canvas.height = height;
-
-            // Draw original image
-            this.ctx.drawImage(imageElement, 0, 0, width, height);
-
-            // Get image data
-            const imageData = this.ctx.getImageData(0, 0, width, height);
-            const data = imageData.data;
-
-            // Apply natural monochromatic grain
-            this._applyNaturalGrain(data, width, height, settings);
-
-            // Put processed data back
-            this.ctx.putImageData(imageData, 0, 0);
-
-            resolve(this.canvas);
-        });
-    }
-
-    _applyNaturalGrain(data, width, height, settings) {
-        const isoParams = this._getIsoParameters(settings.iso);
-        const grainIntensity = settings.strength * isoParams.intensity;
-        const grainSize = settings.grainSize * isoParams.size;
-
-        // Create luminance map untuk adaptive grain
-        const luminanceMap = this._createLuminanceMap(data, width, height);
-        
-        // Generate monochromatic grain pattern sekali saja
-        const grainPattern = this._generateMonochromaticGrain(width, height, grainSize);
-
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const index = (y * width + x) * 4;
-                const luminance = luminanceMap[y][x];
-                
-                // Get adaptive strength berdasarkan luminance
-                // Grain lebih terlihat di mid-tones, kurang di shadows/highlights
-                const adaptiveStrength = this._getAdaptiveStrength(luminance, grainIntensity);
-                
-                // Get monochromatic grain value
-                const grainValue = grainPattern[y][x] * adaptiveStrength * 255;
-                
-                // Apply same grain value to all RGB channels (monochromatic)
-                data[index] = this._clamp(data[index] + grainValue);     // Red
-                data[index + 1] = this._clamp(data[index + 1] + grainValue); // Green
-                data[index + 2] = this._clamp(data[index + 2] + grainValue); // Blue
-                // Alpha channel tetap sama
-            }
-        }
-    }
-
-    _generateMonochromaticGrain(width, height, grainSize) {
-        const grain = Array(height).fill().map(() => Array(width).fill(0));
-        
-        // Multi-frequency noise simulation (karakteristik film Fuji)
-        const scales = [1.0, 2.0, 4.0]; // Fine, medium, coarse grain
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                let grainValue = 0;
-                
-                // Combine multiple noise frequencies
-                for (let i = 0; i < scales.length; i++) {
-                    const scale = scales[i] * grainSize;
-                    const weight = 1.0 / (i + 1); // Higher frequencies have less weight
-                    
-                    // Generate coherent noise dengan Perlin-like characteristics
-                    const noise = this._generateCoherentNoise(x / scale, y / scale);
-                    grainValue += noise * weight;
-                }
-                
-                // Normalize dan apply film-like curve
-                grainValue = this._applyFilmCurve(grainValue / scales.length);
-                grain[y][x] = grainValue;
-            }
-        }
-        
-        return grain;
-    }
-
-    _generateCoherentNoise(x, y) {
-        // Simple coherent noise function (simplified Perlin noise)
-        const X = Math.floor(x);
-        const Y = Math.floor(y);
-        
-        // Fractional part
-        const xf = x - X;
-        const yf = y - Y;
-        
-        // Get random gradients at grid points
-        const n00 = this._gradientDot(X, Y, xf, yf);
-        const n01 = this._gradientDot(X, Y + 1, xf, yf - 1);
-        const n10 = this._gradientDot(X + 1, Y, xf - 1, yf);
-        const n11 = this._gradientDot(X + 1, Y + 1, xf - 1, yf - 1);
-        
-        // Smooth interpolation
-        const u = this._fade(xf);
-        const v = this._fade(yf);
-        
-        const nx0 = this._lerp(n00, n10, u);
-        const nx1 = this._lerp(n01, n11, u);
-        
-        return this._lerp(nx0, nx1, v);
-    }
-
-    _gradientDot(ix, iy, x, y) {
-        // Random gradient using hash function
-        const random = Math.sin(ix * 12.9898 + iy * 78.233) * 43758.5453;
-        const angle = (random - Math.floor(random)) * Math.PI * 2;
-        
-        const gx = Math.cos(angle);
-        const gy = Math.sin(angle);
-        
-        return gx * x + gy * y;
+        // Grain didefinisikan secara fisik, relatif terhadap frame film 36x24mm
+        this.frameLongEdgeMm = 36;
+        this.baseGrainMm = 0.01; // Ukuran grain dasar (ISO 800, grain size 1.0)
+        this.noiseGain = 1.3;    // Kompensasi amplitudo yang hilang karena interpolasi noise
     }
 
     _fade(t) {
         return t * t * t * (t * (t * 6 - 15) + 10);
     }
 
-    _lerp(a, b, t) {
-        return a + t * (b - a);
-    }
-
-    _applyFilmCurve(value) {
-        // Film-like response curve - lebih natural daripada linear
-        return Math.tanh(value * 2) * 0.5;
-    }
-
-    _createLuminanceMap(data, width, height) {
-        const map = Array(height).fill().map(() => Array(width).fill(0));
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const index = (y * width + x) * 4;
-                const r = data[index];
-                const g = data[index + 1];
-                const b = data[index + 2];
-                
-                // Calculate luminance (standard formula)
-                map[y][x] = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
-            }
-        }
-        
-        return map;
-    }
-
     _getAdaptiveStrength(luminance, baseIntensity) {
         // Fuji grain characteristic: lebih terlihat di mid-tones
         // Kurang terlihat di shadows (0.0) dan highlights (1.0)
@@ -182,6 +34,10 @@ class GrainProcessor {
         return Math.max(0, Math.min(255, value));
     }
 
+    _clampUnit(value) {
+        return Math.max(0, Math.min(1, value));
+    }
+
     _getIsoParameters(iso) {
         const params = {
             100:  { intensity: 0.08, size: 0.7, contrast: 0.3 },
@@ -195,60 +51,198 @@ class GrainProcessor {
         return params[iso] || params[800];
     }
 
-    // Optimized version untuk performance
-    async applyGrainOptimized(imageElement, settings) {
-        return new Promise((resolve) => {
-            const width = imageElement.naturalWidth;
-            const height = imageElement.naturalHeight;
-
-            this.canvas.width = width;
-            this.canvas.height = height;
-            this.ctx.drawImage(imageElement, 0, 0);
-
-            const imageData = this.ctx.getImageData(0, 0, width, height);
-            const data = imageData.data;
-            
-            const isoParams = this._getIsoParameters(settings.iso);
-            const grainIntensity = settings.strength * isoParams.intensity;
-            
-            // Generate grain pattern terlebih dahulu
-            const grainPattern = this._generateOptimizedGrain(width, height, isoParams.size * settings.grainSize);
-            
-            for (let i = 0; i < data.length; i += 4) {
-                const luminance = (0.299 * data[i] + 0.587 * data[i+1] + 0.114 * data[i+2]) / 255;
-                const pixelIndex = i / 4;
-                const x = pixelIndex % width;
-                const y = Math.floor(pixelIndex / width);
-                
+    /**
+     * Apply optimized grain directly to ImageData (in place).
+     * Tidak butuh DOM, jadi aman dipanggil dari Web Worker.
+     * onProgress menerima nilai 0..1
+     * settings.region = { x, y, width, height } marks imageData as a crop of a larger frame
+     * (x/y = crop position, width/height = full frame), so the crop gets exactly the grain
+     * of the full render at that spot.
+     * Float images (Float32Array data in 0-1, high precision mode) are supported as well.
+     */
+    applyGrainToImageData(imageData, settings, onProgress = null) {
+        const { width, height, data } = imageData;
+        const frame = settings.region || { x: 0, y: 0, width, height };
+
+        // Nilai piksel 0-255 (8-bit) atau 0-1 (float)
+        const range = data instanceof Float32Array ? 1 : 255;
+        const clamp = range === 1 ? this._clampUnit : this._clamp;
+
+        const isoParams = this._getIsoParameters(settings.iso);
+        const grainIntensity = settings.strength * isoParams.intensity;
+
+        // Grain dihitung per baris, tidak perlu menyimpan pattern untuk seluruh gambar
+        const { cellPx } = this._getGrainGeometry(frame.width, frame.height, isoParams.size * settings.grainSize);
+        const seed = SeededRandom.normalizeSeed(settings.seed);
+        const octaves = this._createGrainOctaves(cellPx, seed);
+        const grainRow = new Float32Array(width);
+
+        // Chroma mode: tiap layer warna punya noise sendiri yang sebagian berkorelasi
+        const chroma = this._getChromaParameters(settings);
+        const channels = chroma
+            ? [0, 1, 2].map(c => ({
+                octaves: this._createGrainOctaves(cellPx, this._getChannelSeed(seed, c)),
+                row: new Float32Array(width)
+            }))
+            : null;
+
+        for (let y = 0; y < height; y++) {
+            this._fillGrainRow(grainRow, frame.y + y, octaves, frame.x);
+            if (chroma) {
+                this._fillChromaRows(channels, grainRow, frame.y + y, chroma, frame.x);
+            }
+            let i = y * width * 4;
+
+            for (let x = 0; x < width; x++, i += 4) {
+                const luminance = (0.299 * data[i] + 0.587 * data[i+1] + 0.114 * data[i+2]) / range;
+
                 const adaptiveStrength = this._getAdaptiveStrength(luminance, grainIntensity);
-                const grainValue = grainPattern[y][x] * adaptiveStrength * 255;
-                
-                data[i]     = this._clamp(data[i] + grainValue);     // R
-                data[i + 1] = this._clamp(data[i + 1] + grainValue); // G
-                data[i + 2] = this._clamp(data[i + 2] + grainValue); // B
+
+                if (chroma) {
+                    const scale = adaptiveStrength * range;
+                    data[i]     = clamp(data[i]     + channels[0].row[x] * scale); // R
+                    data[i + 1] = clamp(data[i + 1] + channels[1].row[x] * scale); // G
+                    data[i + 2] = clamp(data[i + 2] + channels[2].row[x] * scale); // B
+                    continue;
+                }
+
+                const grainValue = grainRow[x] * adaptiveStrength * range;
+
+                data[i]     = clamp(data[i] + grainValue);     // R
+                data[i + 1] = clamp(data[i + 1] + grainValue); // G
+                data[i + 2] = clamp(data[i + 2] + grainValue); // B
+            }
+
+            if (onProgress && (y & 63) === 0) {
+                onProgress(y / height);
+            }
+        }
+
+        if (onProgress) onProgress(1);
+        return imageData;
+    }
+
+    /**
+     * Ukuran grain dalam piksel untuk resolusi output ini.
+     * Karena ukuran grain dihitung dalam mm pada frame 36x24mm,
+     * preview kecil dan export full-size punya tekstur yang setara.
+     */
+    _getGrainGeometry(width, height, grainSize) {
+        const pixelsPerMm = Math.max(width, height) / this.frameLongEdgeMm;
+
+        return {
+            pixelsPerMm,
+            cellPx: this.baseGrainMm * grainSize * pixelsPerMm
+        };
+    }
+
+    _createGrainOctaves(cellPx, seed) {
+        // Fine, medium, coarse grain layers
+        const layers = [
+            { scale: 1.0, weight: 0.6 },
+            { scale: 2.0, weight: 0.3 },
+            { scale: 4.0, weight: 0.1 }
+        ];
+
+        return layers.map((layer, index) => {
+            const spacing = cellPx * layer.scale;
+
+            return {
+                spacing,
+                // Grain yang lebih kecil dari 1 piksel dirata-rata oleh piksel itu,
+                // jadi amplitudonya turun sebanding (seperti scan resolusi rendah)
+                amplitude: layer.weight * Math.min(1, spacing) * this.noiseGain,
+                seed: (seed + Math.imul(index + 1, 0x9E3779B9)) >>> 0
+            };
+        });
+    }
+
+    /**
+     * Chroma grain parameters, or null for monochromatic grain.
+     * Correlation 1.0 = identical noise in every channel, 0.0 = fully independent layers.
+     */
+    _getChromaParameters(settings) {
+        if (settings.grainMode !== 'chroma') {
+            return null;
+        }
+
+        const correlation = Math.max(0, Math.min(1, settings.grainCorrelation ?? 0.6));
+
+        return {
+            // Square roots keep the total grain variance independent of the correlation
+            shared: Math.sqrt(correlation),
+            independent: Math.sqrt(1 - correlation),
+            intensities: [
+                settings.grainRed ?? 1.0,
+                settings.grainGreen ?? 1.0,
+                settings.grainBlue ?? 1.0
+            ]
+        };
+    }
+
+    _getChannelSeed(seed, channel) {
+        return (seed ^ Math.imul(channel + 1, 0x85EBCA77)) >>> 0;
+    }
+
+    /**
+     * Mix the shared grain row with each channel's own noise
+     */
+    _fillChromaRows(channels, sharedRow, y, chroma, offsetX = 0) {
+        channels.forEach((channel, c) => {
+            const { row } = channel;
+            const intensity = chroma.intensities[c];
+
+            if (chroma.independent > 0) {
+                this._fillGrainRow(row, y, channel.octaves, offsetX);
+            } else {
+                row.fill(0);
             }
 
-            this.ctx.putImageData(imageData, 0, 0);
-            resolve(this.canvas);
+            for (let x = 0; x < row.length; x++) {
+                row[x] = (chroma.shared * sharedRow[x] + chroma.independent * row[x]) * intensity;
+            }
         });
     }
 
-    _generateOptimizedGrain(width, height, grainSize) {
-        const grain = Array(height).fill().map(() => Array(width).fill(0));
-        const scale = Math.max(1, 1000 / Math.max(width, height)); // Adaptive scale based on image size
-        
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                // Combined noise sources untuk texture yang lebih natural
-                const value1 = Math.random() - 0.5;
-                const value2 = Math.random() - 0.5;
-                const value3 = Math.random() - 0.5;
-                
-                // Weighted combination untuk natural distribution
-                grain[y][x] = (value1 * 0.6 + value2 * 0.3 + value3 * 0.1) * grainSize;
+    /**
+     * Fill one row of grain values (value noise sampled in film coordinates),
+     * offsetX is the frame column of row[0]
+     */
+    _fillGrainRow(row, y, octaves, offsetX = 0) {
+        row.fill(0);
+
+        for (const { spacing, amplitude, seed } of octaves) {
+            const v = (y + 0.5) / spacing;
+            const iy = Math.floor(v);
+            const fy = this._fade(v - iy);
+
+            let cellX = NaN;
+            let n00 = 0, n10 = 0, n01 = 0, n11 = 0;
+
+            for (let x = 0; x < row.length; x++) {
+                const u = (offsetX + x + 0.5) / spacing;
+                const ix = Math.floor(u);
+
+                // Reuse lattice corners while we stay in (or step into the next) cell
+                if (ix !== cellX) {
+                    if (ix === cellX + 1) {
+                        n00 = n10;
+                        n01 = n11;
+                    } else {
+                        n00 = SeededRandom.hash2D(ix, iy, seed);
+                        n01 = SeededRandom.hash2D(ix, iy + 1, seed);
+                    }
+                    n10 = SeededRandom.hash2D(ix + 1, iy, seed);
+                    n11 = SeededRandom.hash2D(ix + 1, iy + 1, seed);
+                    cellX = ix;
+                }
+
+                const fx = this._fade(u - ix);
+                const top = n00 + (n10 - n00) * fx;
+                const bottom = n01 + (n11 - n01) * fx;
+
+                row[x] += (top + (bottom - top) * fy - 0.5) * amplitude;
             }
         }
-        
-        return grain;
     }
 }
\ No newline at end of file
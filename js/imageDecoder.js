@@ -0,0 +1,372 @@
+/**
+ * Fujifilm Grain Simulator - Image Decoder Module
+ *
+ * @description Detects the real file format from its magic bytes, decodes HEIC/HEIF and TIFF for formats the browser cannot show and converts photos with an embedded color profile to sRGB
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class ImageDecoder {
+    constructor(colorManager = new ColorManager()) {
+        this.libraries = new Map();
+        this.colorManager = colorManager;
+    }
+
+    /**
+     * Known formats: native ones go straight to <img>, raw ones to RawDecoder, the rest are decoded here
+     */
+    static get FORMATS() {
+        return {
+            jpeg: { label: 'JPEG', native: true },
+            png: { label: 'PNG', native: true },
+            webp: { label: 'WebP', native: true },
+            avif: { label: 'AVIF', native: true },
+            heic: { label: 'HEIC/HEIF', native: false },
+            tiff: { label: 'TIFF', native: false },
+            raf: { label: 'Fujifilm RAF', raw: true },
+            dng: { label: 'Adobe DNG', raw: true }
+        };
+    }
+
+    static get EXTENSIONS() {
+        return {
+            jpg: 'jpeg', jpeg: 'jpeg', png: 'png', webp: 'webp', avif: 'avif',
+            heic: 'heic', heif: 'heic', tif: 'tiff', tiff: 'tiff', raf: 'raf', dng: 'dng'
+        };
+    }
+
+    /**
+     * Decoders loaded on demand (pako before UTIF, it is picked up when UTIF loads)
+     */
+    static get LIBRARIES() {
+        return {
+            heic: ['https://cdn.jsdelivr.net/npm/heic2any@0.0.4/dist/heic2any.min.js'],
+            tiff: [
+                'https://cdn.jsdelivr.net/npm/pako@1.0.11/dist/pako_inflate.min.js',
+                'https://cdn.jsdelivr.net/npm/utif@3.1.0/UTIF.js'
+            ]
+        };
+    }
+
+    /**
+     * Start of the file read once for the magic bytes and the metadata parsers (ICC, EXIF, recipe),
+     * so large RAW and TIFF files are not read whole just for their metadata
+     */
+    static get HEADER_SIZE() {
+        return 1024 * 1024;
+    }
+
+    static async readHeader(file) {
+        return new Uint8Array(await file.slice(0, ImageDecoder.HEADER_SIZE).arrayBuffer());
+    }
+
+    /**
+     * length bytes at offset: from the header when they are in it, otherwise a small slice of the file
+     * (shorter at the end of the file)
+     */
+    static async readRange(file, header, offset, length) {
+        if (offset + length <= header.length) {
+            return header.subarray(offset, offset + length);
+        }
+        return new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+    }
+
+    /**
+     * Format guessed from the file name, only used to pre-filter file lists
+     */
+    static getFormatFromName(fileName) {
+        const extension = (fileName || '').split('.').pop().toLowerCase();
+        return ImageDecoder.EXTENSIONS[extension] || null;
+    }
+
+    /**
+     * Real format from the first bytes of the file, null when unknown
+     */
+    async sniff(file, header = null) {
+        const bytes = header || await ImageDecoder.readHeader(file);
+        const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+        if (bytes[0] === 0x89 && ascii(1, 3) === 'PNG') return 'png';
+        if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return 'webp';
+        if (ascii(0, 15) === 'FUJIFILMCCD-RAW') return 'raf';
+
+        if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') {
+            return await this._isDNG(file, bytes) ? 'dng' : 'tiff';
+        }
+
+        // ISO BMFF: major brand plus compatible brands of the ftyp box
+        if (ascii(4, 4) === 'ftyp') {
+            const brands = [ascii(8, 4)];
+            const boxSize = Math.min(bytes.length, new DataView(bytes.buffer, bytes.byteOffset).getUint32(0));
+            for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+                brands.push(ascii(offset, 4));
+            }
+
+            if (brands.some(brand => brand === 'avif' || brand === 'avis')) return 'avif';
+            if (brands.some(brand => ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand))) return 'heic';
+        }
+
+        return null;
+    }
+
+    /**
+     * DNG is a TIFF container, told apart by the DNGVersion tag (0xC612) in IFD0
+     */
+    async _isDNG(file, header) {
+        const little = header[0] === 0x49; // "II"
+        const ifdOffset = new DataView(header.buffer, header.byteOffset, header.byteLength).getUint32(4, little);
+
+        const countBytes = await ImageDecoder.readRange(file, header, ifdOffset, 2);
+        if (countBytes.length < 2) return false;
+
+        const count = new DataView(countBytes.buffer, countBytes.byteOffset, 2).getUint16(0, little);
+        const entries = await ImageDecoder.readRange(file, header, ifdOffset + 2, count * 12);
+        const view = new DataView(entries.buffer, entries.byteOffset, entries.byteLength);
+
+        for (let offset = 0; offset + 2 <= entries.length; offset += 12) {
+            if (view.getUint16(offset, little) === 0xC612) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Object URL the browser can display, decoding HEIC and TIFF to PNG first. Photos with a
+     * color profile other than sRGB (Display P3, Adobe RGB, ...) are converted to the LUT working space.
+     * Resolves { url, colorProfile } with the label of the converted profile, null for sRGB, and for
+     * 16-bit TIFFs image, the 16-bit pixels (see createSource).
+     * beforeDecode(width, height, extraBytes) runs when the size is known up front and may throw to skip the decode.
+     * header (optional, see readHeader) saves reading the start of the file again.
+     */
+    async decode(file, format, beforeDecode = null, header = null) {
+        if (format === 'tiff') {
+            return this._decodeTIFF(file, beforeDecode);
+        }
+
+        const profile = await this.colorManager.readProfile(file, format, header);
+        const convert = Boolean(profile) && profile.id !== ColorManager.WORKING_SPACE;
+        let blob = format === 'heic' ? await this._decodeHEIC(file) : file;
+
+        if (convert) {
+            blob = await this._convertToWorkingSpace(blob, profile, beforeDecode);
+        }
+
+        return { url: URL.createObjectURL(blob), colorProfile: convert ? profile.label : null };
+    }
+
+    /**
+     * Decode without the browser's own color management, then convert from the embedded profile
+     */
+    async _convertToWorkingSpace(blob, profile, beforeDecode) {
+        const bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', imageOrientation: 'from-image' });
+        const canvas = document.createElement('canvas');
+
+        try {
+            // The bitmap is still open while it is drawn to the canvas
+            if (beforeDecode) beforeDecode(bitmap.width, bitmap.height, bitmap.width * bitmap.height * 4);
+
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        } finally {
+            bitmap.close();
+        }
+
+        console.log('🎨 Converting', profile.label, 'to sRGB:', `${canvas.width}x${canvas.height}`);
+        const ctx = canvas.getContext('2d');
+        const workingSpace = ColorManager.getSpace(ColorManager.WORKING_SPACE);
+
+        // Strips keep the extra pixel copy small for large photos
+        for (let y = 0; y < canvas.height; y += 256) {
+            const rows = Math.min(256, canvas.height - y);
+            const imageData = ctx.getImageData(0, y, canvas.width, rows);
+            ctx.putImageData(this.colorManager.convertImageData(imageData, profile, workingSpace), 0, y);
+        }
+
+        return this._toPNG(canvas);
+    }
+
+    async _decodeHEIC(file) {
+        await this._loadLibrary('heic');
+
+        console.log('🖼️ Decoding HEIC:', file.name);
+        const result = await heic2any({ blob: file, toType: 'image/png' });
+
+        // Image collections (bursts, Live Photos) give several images, the first is the main one
+        return Array.isArray(result) ? result[0] : result;
+    }
+
+    async _decodeTIFF(file, beforeDecode) {
+        await this._loadLibrary('tiff');
+
+        const buffer = await file.arrayBuffer();
+        const page = UTIF.decode(buffer).find(ifd => ifd.t256 && ifd.t257);
+        if (!page) {
+            throw new Error('TIFF file has no image');
+        }
+
+        const width = page.t256[0];
+        const height = page.t257[0];
+        const deep = ImageDecoder._is16BitRGB(page);
+        if (beforeDecode) beforeDecode(width, height, ImageDecoder._getTIFFDecodeBytes(page, buffer.byteLength, deep));
+
+        // Adobe Deflate (32946) is the same stream as Deflate (8)
+        if (page.t259 && page.t259[0] === 32946) {
+            page.t259 = [8];
+        }
+
+        console.log('🖼️ Decoding TIFF:', file.name, `${width}x${height}`, `${page.t258 ? page.t258[0] : 1}-bit`);
+        UTIF.decodeImage(buffer, page);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+        imageData.data.set(UTIF.toRGBA8(page));
+
+        // 16-bit RGB is kept at full depth for high precision mode (see createSource)
+        const image = deep ? ImageDecoder._read16BitRGB(page) : null;
+
+        // Scans are often Adobe RGB or a scanner profile (InterColorProfile tag)
+        const profile = page.t34675 ? this.colorManager.readICCProfile(page.t34675) : null;
+        const convert = Boolean(profile) && profile.id !== ColorManager.WORKING_SPACE;
+        if (convert) {
+            console.log('🎨 Converting', profile.label, 'to sRGB');
+            const workingSpace = ColorManager.getSpace(ColorManager.WORKING_SPACE);
+            if (image) {
+                this.colorManager.convertBuffer(image, profile, workingSpace);
+            } else {
+                this.colorManager.convertImageData(imageData, profile, workingSpace);
+            }
+        }
+
+        // The 8-bit preview of a 16-bit image is rounded from the (converted) 16-bit pixels
+        if (image) {
+            const data = imageData.data;
+            for (let i = 0, source = 0; i < data.length; i += 4, source += 3) {
+                data[i] = Math.round(image.data[source] / 257);
+                data[i + 1] = Math.round(image.data[source + 1] / 257);
+                data[i + 2] = Math.round(image.data[source + 2] / 257);
+            }
+        }
+        ctx.putImageData(imageData, 0, 0);
+
+        return {
+            url: URL.createObjectURL(await this._toPNG(canvas)),
+            colorProfile: convert ? profile.label : null,
+            image: image
+        };
+    }
+
+    /**
+     * Float tiles of a 16-bit TIFF ({ width, height, data: Uint16Array RGB }) for high precision mode,
+     * same shape as RawDecoder.createSource
+     */
+    static createSource(image) {
+        return {
+            width: image.width,
+            height: image.height,
+            readTile: (tile) => {
+                const data = new Float32Array(tile.width * tile.height * 4);
+
+                for (let y = 0, i = 0; y < tile.height; y++) {
+                    let source = ((tile.y + y) * image.width + tile.x) * 3;
+                    for (let x = 0; x < tile.width; x++, i += 4, source += 3) {
+                        data[i] = image.data[source] / 65535;
+                        data[i + 1] = image.data[source + 1] / 65535;
+                        data[i + 2] = image.data[source + 2] / 65535;
+                        data[i + 3] = 1;
+                    }
+                }
+
+                return { width: tile.width, height: tile.height, data };
+            }
+        };
+    }
+
+    /**
+     * Unsigned 16-bit RGB(A), chunky (one plane)
+     */
+    /**
+     * Buffers held while a TIFF page is decoded, on top of the working canvases: the file,
+     * UTIF's decoded samples, its RGBA8 copy, the ImageData and canvas of the preview
+     * and, for 16-bit RGB, the Uint16 copy kept for high precision mode
+     */
+    static _getTIFFDecodeBytes(page, fileSize, deep) {
+        const first = (tag, fallback) => page[tag] ? page[tag][0] : fallback;
+        const width = page.t256[0];
+        const height = page.t257[0];
+        const sampleBytes = Math.ceil(width * first('t258', 1) * first('t277', 1) / 8) * height;
+
+        return fileSize + sampleBytes + width * height * 4 * 3 + (deep ? width * height * 6 : 0);
+    }
+
+    static _is16BitRGB(page) {
+        const first = (tag, fallback) => page[tag] ? page[tag][0] : fallback;
+        return first('t258', 1) === 16
+            && first('t262', -1) === 2
+            && first('t277', 1) >= 3
+            && first('t284', 1) === 1
+            && first('t339', 1) === 1;
+    }
+
+    /**
+     * RGB samples of a decoded 16-bit page, alpha dropped. UTIF turns big-endian samples
+     * little-endian while decoding, except in CFA (DNG style) pages.
+     */
+    static _read16BitRGB(page) {
+        const width = page.t256[0];
+        const height = page.t257[0];
+        const samples = page.t277[0];
+        const little = page.isLE || !page.t33422;
+        const view = new DataView(page.data.buffer, page.data.byteOffset, page.data.byteLength);
+        const data = new Uint16Array(width * height * 3);
+
+        for (let i = 0, source = 0; i < data.length; i += 3, source += samples * 2) {
+            data[i] = view.getUint16(source, little);
+            data[i + 1] = view.getUint16(source + 2, little);
+            data[i + 2] = view.getUint16(source + 4, little);
+        }
+
+        return { width, height, data };
+    }
+
+    _toPNG(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')), 'image/png');
+        });
+    }
+
+    /**
+     * Load the scripts of a decoder once, in order
+     */
+    _loadLibrary(format) {
+        if (!this.libraries.has(format)) {
+            const loaded = ImageDecoder.LIBRARIES[format].reduce(
+                (previous, url) => previous.then(() => this._loadScript(url)),
+                Promise.resolve()
+            ).catch(error => {
+                this.libraries.delete(format);
+                throw error;
+            });
+
+            this.libraries.set(format, loaded);
+        }
+
+        return this.libraries.get(format);
+    }
+
+    _loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new Error(`Failed to load decoder: ${url}`));
+            document.head.appendChild(script);
+        });
+    }
+}
@@ -0,0 +1,834 @@
+/**
+ * Fujifilm Grain Simulator - Image Exporter Module
+ *
+ * @description Encodes the result as JPEG/PNG/WebP/AVIF with toBlob (or 16-bit PNG/TIFF from a high precision buffer) in the chosen color space and writes its ICC profile, the original EXIF and the processing recipe into the file
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class ImageExporter {
+    constructor(colorManager = new ColorManager()) {
+        this.colorManager = colorManager;
+        this.softwareName = 'Fujifilm Grain Simulator';
+        this.supportedFormats = null;
+        this.crcTable = null;
+    }
+
+    /**
+     * metadata = whether EXIF can be embedded in this container, colorProfile = whether an ICC profile can,
+     * bitDepth 16 = written here from 16-bit RGB rows (create16BitEncoder) instead of a canvas
+     */
+    static get FORMATS() {
+        return [
+            { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true, metadata: true, colorProfile: true, bitDepth: 8 },
+            { id: 'png', label: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false, metadata: true, colorProfile: true, bitDepth: 8 },
+            { id: 'webp', label: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true, metadata: true, colorProfile: true, bitDepth: 8 },
+            { id: 'avif', label: 'AVIF', mimeType: 'image/avif', extension: 'avif', lossy: true, metadata: false, colorProfile: false, bitDepth: 8 },
+            { id: 'png16', label: 'PNG 16-bit', mimeType: 'image/png', extension: 'png', lossy: false, metadata: true, colorProfile: true, bitDepth: 16 },
+            { id: 'tiff16', label: 'TIFF 16-bit', mimeType: 'image/tiff', extension: 'tif', lossy: false, metadata: false, colorProfile: true, bitDepth: 16 }
+        ];
+    }
+
+    /**
+     * Tokens available in file name templates
+     */
+    static get TEMPLATE_TOKENS() {
+        return ['{name}', '{index}', '{lut}', '{iso}', '{preset}', '{seed}', '{date}'];
+    }
+
+    /**
+     * PNG tEXt keyword of the recipe (JPEG/WebP keep it in the EXIF UserComment)
+     */
+    static get RECIPE_KEYWORD() {
+        return 'FujiGrainRecipe';
+    }
+
+    /**
+     * Settings snapshot as ASCII-only JSON, so it fits an EXIF ASCII comment and a PNG tEXt chunk
+     */
+    static serializeRecipe(settings, lutName = '') {
+        const recipe = { app: 'fuji-grain-simulator', version: 1, settings, lutName, createdAt: new Date().toISOString() };
+
+        return JSON.stringify(recipe).replace(/[\u007f-\uffff]/g, char =>
+            '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0')
+        );
+    }
+
+    /**
+     * Accepted values of each recipe setting, anything else in an imported file is dropped
+     */
+    static get RECIPE_SETTINGS() {
+        return {
+            iso: { values: ['100', '200', '400', '800', '1600', '3200', 'auto'] },
+            strength: { min: 0.1, max: 1.5 },
+            grainSize: { min: 0.5, max: 2 },
+            grainMode: { values: ['mono', 'chroma'] },
+            grainCorrelation: { min: 0, max: 1 },
+            grainRed: { min: 0, max: 2 },
+            grainGreen: { min: 0, max: 2 },
+            grainBlue: { min: 0, max: 2 },
+            seed: { type: 'seed' },
+            selectedLUT: { type: 'string' },
+            lutStrength: { min: 0.1, max: 1 },
+            lutInterpolation: { values: ['tetrahedral', 'trilinear'] },
+            applyLUT: { type: 'boolean' },
+            pipeline: { type: 'stages' },
+            highPrecision: { type: 'boolean' },
+            dither: { type: 'boolean' }
+        };
+    }
+
+    /**
+     * Recipe from embedded text, or null when it is not one of ours.
+     * The text comes from any dropped file, so only known settings with valid values are kept.
+     */
+    static parseRecipe(text) {
+        if (!text) return null;
+
+        try {
+            const recipe = JSON.parse(text);
+            if (!recipe || recipe.app !== 'fuji-grain-simulator' || !recipe.settings || typeof recipe.settings !== 'object') {
+                return null;
+            }
+
+            const settings = {};
+            Object.entries(ImageExporter.RECIPE_SETTINGS).forEach(([key, rule]) => {
+                const value = ImageExporter._validateRecipeValue(rule, recipe.settings[key]);
+                if (value !== undefined) settings[key] = value;
+            });
+
+            return {
+                ...recipe,
+                settings,
+                lutName: typeof recipe.lutName === 'string' ? recipe.lutName.slice(0, 100) : ''
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Normalized value, or undefined when it does not fit the rule
+     */
+    static _validateRecipeValue(rule, value) {
+        if (value === undefined || value === null) return undefined;
+
+        if (rule.values) {
+            const text = typeof value === 'number' ? String(value) : value;
+            return rule.values.includes(text) ? text : undefined;
+        }
+
+        switch (rule.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? value : undefined;
+            case 'string':
+                return typeof value === 'string' && value.length <= 200 ? value : undefined;
+            case 'seed':
+                return Number.isFinite(parseInt(value, 10)) ? SeededRandom.normalizeSeed(value) : undefined;
+            case 'stages':
+                return Array.isArray(value) && value.every(id => typeof id === 'string') ? value : undefined;
+            default:
+                return typeof value === 'number' && Number.isFinite(value) && value >= rule.min && value <= rule.max
+                    ? value
+                    : undefined;
+        }
+    }
+
+    /**
+     * Formats this browser can encode (toBlob silently falls back to PNG for unknown types)
+     */
+    async getSupportedFormats() {
+        if (!this.supportedFormats) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 1;
+            canvas.height = 1;
+
+            const results = await Promise.all(ImageExporter.FORMATS.map(format => {
+                // 16-bit files are written here, PNG only needs a deflate stream
+                if (format.bitDepth === 16) {
+                    return format.id !== 'png16' || typeof CompressionStream !== 'undefined';
+                }
+
+                return this._toBlob(canvas, format.mimeType)
+                    .then(blob => blob.type === format.mimeType)
+                    .catch(() => false);
+            }));
+
+            this.supportedFormats = ImageExporter.FORMATS.filter((format, index) => results[index]);
+            console.log('🖨️ Export formats:', this.supportedFormats.map(format => format.label).join(', '));
+        }
+
+        return this.supportedFormats;
+    }
+
+    /**
+     * Build an output file name from a template, e.g. "{name}_{lut}_{index}".
+     * context = { index, presetName, extension }
+     */
+    static formatFileName(template, file, settings, context = {}) {
+        const { index = 0, presetName = '', extension = 'jpg' } = context;
+        const baseName = file ? file.name.replace(/\.[^.]+$/, '') : 'fuji-grain';
+        const values = {
+            name: baseName,
+            index: String(index + 1).padStart(3, '0'),
+            lut: settings.applyLUT && settings.selectedLUT !== 'none' ? settings.selectedLUT : 'nolut',
+            iso: settings.iso,
+            preset: presetName || 'custom',
+            seed: settings.seed,
+            date: new Date().toISOString().slice(0, 10)
+        };
+
+        const name = (template || '{name}').replace(/\{(\w+)\}/g, (match, token) =>
+            values[token] !== undefined ? String(values[token]) : match
+        );
+
+        // Karakter yang tidak valid untuk nama file diganti
+        const safeName = name.replace(/[\\/:*?"<>|]+/g, '_').trim() || baseName;
+        return `${safeName}.${extension}`;
+    }
+
+    getFormat(formatId) {
+        return ImageExporter.FORMATS.find(format => format.id === formatId) || ImageExporter.FORMATS[0];
+    }
+
+    /**
+     * Encode an sRGB canvas (16-bit formats are streamed through create16BitEncoder).
+     * options = { format, quality (0-1), colorSpace, keepMetadata, embedRecipe },
+     * metadata = { exif: original TIFF/EXIF block (Uint8Array) or null, note: processing note, recipe: serialized recipe }
+     */
+    async export(image, options, metadata = {}) {
+        const format = this.getFormat(options.format);
+        const colorSpace = format.colorProfile ? ColorManager.getSpace(options.colorSpace).id : ColorManager.WORKING_SPACE;
+        const blob = await this._encode(image, format, options, colorSpace);
+
+        try {
+            const { text, exif } = this._createMetadata(format, options, metadata, image.width, image.height, colorSpace);
+            if (!text && !exif) {
+                return blob;
+            }
+
+            let bytes = new Uint8Array(await blob.arrayBuffer());
+            if (text) {
+                bytes = this.insertPNGChunk(bytes, 'tEXt', text);
+            }
+            if (exif) {
+                bytes = this.embedExif(bytes, format, exif);
+            }
+            return new Blob([bytes], { type: format.mimeType });
+
+        } catch (error) {
+            // The image itself is fine, only the metadata is lost
+            console.warn('⚠️ Could not embed metadata:', error);
+            return blob;
+        }
+    }
+
+    /**
+     * Metadata to embed as { text: PNG tEXt data or null, exif: TIFF block or null }.
+     * PNG keeps the recipe in a tEXt chunk, the other formats in the EXIF UserComment.
+     */
+    _createMetadata(format, options, metadata, width, height, colorSpace) {
+        const recipe = options.embedRecipe ? metadata.recipe : '';
+        if (!format.metadata || (!options.keepMetadata && !recipe)) {
+            return { text: null, exif: null };
+        }
+
+        if (format.mimeType === 'image/png') {
+            return {
+                text: recipe ? this._ascii(`${ImageExporter.RECIPE_KEYWORD}\x00${recipe}`) : null,
+                exif: options.keepMetadata
+                    ? this.createExif(metadata.exif, width, height, { note: metadata.note }, colorSpace)
+                    : null
+            };
+        }
+
+        return {
+            text: null,
+            exif: this.createExif(options.keepMetadata ? metadata.exif : null, width, height, {
+                note: metadata.note,
+                userComment: recipe
+            }, colorSpace)
+        };
+    }
+
+    /**
+     * Encode in the output color space with its ICC profile (sRGB files stay untagged)
+     */
+    async _encode(image, format, options, colorSpace) {
+        const convert = colorSpace !== ColorManager.WORKING_SPACE;
+        const canvas = this.colorManager.toOutputCanvas(image, colorSpace);
+        const blob = await this._toBlob(canvas, format.mimeType, format.lossy ? options.quality : undefined);
+        if (!convert) return blob;
+
+        const bytes = await this.embedColorProfile(new Uint8Array(await blob.arrayBuffer()), format, colorSpace);
+        return new Blob([bytes], { type: format.mimeType });
+    }
+
+    /**
+     * Put the ICC profile of a built-in space into encoded image bytes, replacing one the browser may have written
+     */
+    async embedColorProfile(bytes, format, colorSpace) {
+        const profile = this.colorManager.createICCProfile(colorSpace);
+
+        switch (format.mimeType) {
+            case 'image/jpeg': {
+                const stripped = this._removeJPEGSegments(bytes, 0xE2, 'ICC_PROFILE\x00');
+                // Single chunk: sequence number 1 of 1
+                return this._insertJPEGSegment(stripped, 0xE2, this._concat([this._ascii('ICC_PROFILE\x00'), Uint8Array.of(1, 1), profile]));
+            }
+            case 'image/png': {
+                // The color chunks would override the profile in some viewers
+                const stripped = this._removePNGChunks(bytes, ['iCCP', 'sRGB', 'gAMA', 'cHRM']);
+                return this.insertPNGChunk(stripped, 'iCCP', await this._createICCPChunkData(colorSpace));
+            }
+            case 'image/webp':
+                return this._insertWebPChunk(bytes, 'ICCP', profile, 0x20);
+            default:
+                return bytes;
+        }
+    }
+
+    /**
+     * iCCP payload: profile name, null separator, compression method 0, zlib stream
+     */
+    async _createICCPChunkData(colorSpace) {
+        const profile = this.colorManager.createICCProfile(colorSpace);
+        return this._concat([
+            this._ascii(ColorManager.getSpace(colorSpace).label),
+            Uint8Array.of(0, 0),
+            await this._deflate(profile)
+        ]);
+    }
+
+    /**
+     * EXIF for the exported image: the original tags, upright orientation, new size,
+     * no thumbnail (it would still show the unedited photo) and our software note.
+     * text = { note, userComment }, colorSpace = output space id.
+     * Returns the TIFF block as Uint8Array, or null when piexifjs is not loaded.
+     */
+    createExif(originalExif, width, height, text = {}, colorSpace = 'srgb') {
+        if (typeof piexif === 'undefined') {
+            console.warn('⚠️ piexifjs not loaded, EXIF will not be embedded');
+            return null;
+        }
+
+        let exif = { '0th': {}, 'Exif': {}, 'GPS': {}, 'Interop': {}, '1st': {}, 'thumbnail': null };
+        if (originalExif) {
+            try {
+                exif = piexif.load('Exif\x00\x00' + this._toBinaryString(originalExif));
+            } catch (error) {
+                console.warn('⚠️ Original EXIF could not be read, writing a new one:', error);
+            }
+        }
+
+        // Canvas pixels are already rotated upright
+        exif['0th'][piexif.ImageIFD.Orientation] = 1;
+        exif['0th'][piexif.ImageIFD.Software] = this.softwareName;
+        if (text.note) exif['0th'][piexif.ImageIFD.ImageHistory] = text.note;
+        // UserComment starts with an 8-byte character code
+        if (text.userComment) exif['Exif'][piexif.ExifIFD.UserComment] = 'ASCII\x00\x00\x00' + text.userComment;
+        // DCF: ColorSpace 1 is sRGB, anything else is "uncalibrated", Adobe RGB is marked with the R03 interop index
+        exif['Exif'][piexif.ExifIFD.ColorSpace] = colorSpace === 'srgb' ? 1 : 0xFFFF;
+        if (colorSpace === 'adobe-rgb') {
+            exif['Interop'][piexif.InteropIFD.InteroperabilityIndex] = 'R03';
+        } else if (exif['Interop'][piexif.InteropIFD.InteroperabilityIndex] === 'R03') {
+            delete exif['Interop'][piexif.InteropIFD.InteroperabilityIndex];
+        }
+        exif['Exif'][piexif.ExifIFD.PixelXDimension] = width;
+        exif['Exif'][piexif.ExifIFD.PixelYDimension] = height;
+        exif['1st'] = {};
+        exif['thumbnail'] = null;
+
+        // Maker notes sometimes use types piexifjs cannot write, retry without them
+        const attempts = [
+            () => exif,
+            () => { delete exif['Exif'][piexif.ExifIFD.MakerNote]; return exif; },
+            () => ({
+                '0th': exif['0th'],
+                'Exif': {
+                    [piexif.ExifIFD.ColorSpace]: exif['Exif'][piexif.ExifIFD.ColorSpace],
+                    ...(text.userComment ? { [piexif.ExifIFD.UserComment]: exif['Exif'][piexif.ExifIFD.UserComment] } : {})
+                },
+                'GPS': {}, 'Interop': {}, '1st': {}, 'thumbnail': null
+            })
+        ];
+
+        for (const attempt of attempts) {
+            try {
+                return this._fromBinaryString(piexif.dump(attempt()).slice(6));
+            } catch (error) {
+                console.warn('⚠️ EXIF dump failed, dropping more tags:', error.message);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Put a TIFF/EXIF block into encoded image bytes
+     */
+    embedExif(bytes, format, exif) {
+        switch (format.mimeType) {
+            case 'image/jpeg':
+                return this._insertJPEGSegment(bytes, 0xE1, this._concat([this._ascii('Exif\x00\x00'), exif]));
+            case 'image/png':
+                return this.insertPNGChunk(bytes, 'eXIf', exif);
+            case 'image/webp':
+                return this._insertWebPChunk(bytes, 'EXIF', exif, 0x08);
+            default:
+                return bytes;
+        }
+    }
+
+    /**
+     * Streaming writer of a 16-bit PNG or TIFF, so a large export never holds the whole image:
+     * writeRows(data, rows) takes the next rows as a Uint16Array of sRGB RGB values (converted in place
+     * to the output space), finish() resolves the file Blob, cancel() drops it.
+     * Options and metadata are those of export.
+     */
+    async create16BitEncoder(width, height, options, metadata = {}) {
+        const format = this.getFormat(options.format);
+        const colorSpace = ColorManager.getSpace(options.colorSpace).id;
+        console.log('🖨️ Encoding', format.label, `${width}x${height}`, ColorManager.getSpace(colorSpace).label);
+
+        if (format.id === 'tiff16') {
+            return this._createTIFF16Encoder(width, height, colorSpace);
+        }
+
+        let chunks = [];
+        try {
+            const { text, exif } = this._createMetadata(format, options, metadata, width, height, colorSpace);
+            chunks = [
+                text && this._createPNGChunk('tEXt', text),
+                exif && this._createPNGChunk('eXIf', exif)
+            ].filter(Boolean);
+        } catch (error) {
+            // The image itself is fine, only the metadata is lost
+            console.warn('⚠️ Could not embed metadata:', error);
+        }
+
+        return this._createPNG16Encoder(width, height, colorSpace, chunks);
+    }
+
+    /**
+     * 16-bit RGB PNG, rows use the Sub filter so the deflate stream stays reasonably small.
+     * Each piece of the deflate stream becomes its own IDAT chunk as soon as it is compressed.
+     */
+    async _createPNG16Encoder(width, height, colorSpace, metadataChunks) {
+        const rowLength = 1 + width * 6;
+        const stream = new CompressionStream('deflate');
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+        const idat = [];
+
+        // Read while writing, the stream would stop accepting rows otherwise
+        const reading = (async () => {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                idat.push(this._createPNGChunk('IDAT', value));
+            }
+        })();
+        reading.catch(() => {});
+
+        const header = new Uint8Array(13);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, width);
+        view.setUint32(4, height);
+        header[8] = 16; // bit depth
+        header[9] = 2; // truecolor RGB
+
+        const colorChunks = colorSpace !== ColorManager.WORKING_SPACE
+            ? [this._createPNGChunk('iCCP', await this._createICCPChunkData(colorSpace))]
+            : [];
+
+        return {
+            writeRows: async (data, rows) => {
+                this._toOutputSpace(data, colorSpace);
+                const raw = new Uint8Array(rowLength * rows);
+
+                for (let y = 0; y < rows; y++) {
+                    const row = y * rowLength + 1;
+                    const pixels = y * width * 3;
+                    raw[row - 1] = 1; // Sub
+
+                    // PNG samples are big-endian
+                    for (let x = 0; x < width * 3; x++) {
+                        raw[row + x * 2] = data[pixels + x] >> 8;
+                        raw[row + x * 2 + 1] = data[pixels + x] & 0xFF;
+                    }
+
+                    // Difference to the same byte of the previous pixel, back to front so the originals are still there
+                    for (let i = width * 6 - 1; i >= 6; i--) {
+                        raw[row + i] = (raw[row + i] - raw[row + i - 6]) & 0xFF;
+                    }
+                }
+
+                await writer.write(raw);
+            },
+            finish: async () => {
+                await writer.close();
+                await reading;
+
+                return new Blob([
+                    Uint8Array.of(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A),
+                    this._createPNGChunk('IHDR', header),
+                    ...colorChunks,
+                    ...metadataChunks,
+                    ...idat,
+                    this._createPNGChunk('IEND', new Uint8Array(0))
+                ], { type: 'image/png' });
+            },
+            cancel: () => writer.abort().catch(() => {})
+        };
+    }
+
+    /**
+     * Uncompressed 16-bit RGB baseline TIFF (little-endian). The IFD is written up front: without
+     * compression every strip has a known size, the pixels then follow band by band.
+     */
+    _createTIFF16Encoder(width, height, colorSpace) {
+        const software = this._ascii(this.softwareName + '\x00');
+        const profile = colorSpace !== ColorManager.WORKING_SPACE ? this.colorManager.createICCProfile(colorSpace) : null;
+        const rowsPerStrip = Math.min(height, 64);
+        const stripCount = Math.ceil(height / rowsPerStrip);
+        const stripOffsets = new Array(stripCount).fill(0);
+        const stripByteCounts = stripOffsets.map((zero, i) =>
+            Math.min(rowsPerStrip, height - i * rowsPerStrip) * width * 6
+        );
+
+        const entries = [
+            [256, 4, [width]], // ImageWidth
+            [257, 4, [height]], // ImageLength
+            [258, 3, [16, 16, 16]], // BitsPerSample
+            [259, 3, [1]], // Compression: none
+            [262, 3, [2]], // Photometric: RGB
+            [273, 4, stripOffsets], // StripOffsets
+            [277, 3, [3]], // SamplesPerPixel
+            [278, 4, [rowsPerStrip]], // RowsPerStrip
+            [279, 4, stripByteCounts], // StripByteCounts
+            [284, 3, [1]], // PlanarConfiguration: chunky
+            [305, 2, software] // Software
+        ];
+        if (profile) {
+            entries.push([34675, 7, profile]); // InterColorProfile
+        }
+
+        // Header, IFD, then the values longer than 4 bytes and the pixels
+        const typeSizes = { 2: 1, 3: 2, 4: 4, 7: 1 };
+        const valueSize = ([, type, values]) => values.length * typeSizes[type];
+        const ifdSize = 2 + entries.length * 12 + 4;
+        const pixelOffset = entries.reduce((offset, entry) => {
+            const size = valueSize(entry);
+            return size > 4 ? offset + size + (size & 1) : offset;
+        }, 8 + ifdSize);
+        stripByteCounts.forEach((count, i) => {
+            stripOffsets[i] = i === 0 ? pixelOffset : stripOffsets[i - 1] + stripByteCounts[i - 1];
+        });
+
+        const header = new Uint8Array(pixelOffset);
+        const view = new DataView(header.buffer);
+        header.set(this._ascii('II*\x00'), 0);
+        view.setUint32(4, 8, true);
+        view.setUint16(8, entries.length, true);
+
+        let valueOffset = 8 + ifdSize;
+        entries.forEach(([tag, type, values], i) => {
+            const offset = 10 + i * 12;
+            const size = valueSize([tag, type, values]);
+            view.setUint16(offset, tag, true);
+            view.setUint16(offset + 2, type, true);
+            view.setUint32(offset + 4, values.length, true);
+
+            let position = offset + 8;
+            if (size > 4) {
+                view.setUint32(offset + 8, valueOffset, true);
+                position = valueOffset;
+                valueOffset += size + (size & 1);
+            }
+
+            if (type === 4) {
+                values.forEach((value, j) => view.setUint32(position + j * 4, value, true));
+            } else if (type === 3) {
+                values.forEach((value, j) => view.setUint16(position + j * 2, value, true));
+            } else {
+                header.set(values, position);
+            }
+        });
+        view.setUint32(10 + entries.length * 12, 0, true); // no next IFD
+
+        // Every band goes into a Blob right away, the caller reuses its buffer
+        const parts = [header];
+        const littleEndian = new Uint8Array(Uint16Array.of(1).buffer)[0] === 1;
+
+        return {
+            writeRows: async (data, rows) => {
+                this._toOutputSpace(data, colorSpace);
+                const samples = data.subarray(0, rows * width * 3);
+
+                if (littleEndian) {
+                    parts.push(new Blob([new Uint8Array(samples.buffer, samples.byteOffset, samples.byteLength)]));
+                    return;
+                }
+
+                const bytes = new Uint8Array(samples.length * 2);
+                const bytesView = new DataView(bytes.buffer);
+                samples.forEach((value, i) => bytesView.setUint16(i * 2, value, true));
+                parts.push(new Blob([bytes]));
+            },
+            finish: async () => new Blob(parts, { type: 'image/tiff' }),
+            cancel: () => {
+                parts.length = 0;
+            }
+        };
+    }
+
+    /**
+     * Convert 16-bit sRGB rows to the output space in place
+     */
+    _toOutputSpace(data, colorSpace) {
+        if (colorSpace === ColorManager.WORKING_SPACE) return;
+
+        this.colorManager.convertBuffer(
+            { data },
+            ColorManager.getSpace(ColorManager.WORKING_SPACE),
+            ColorManager.getSpace(colorSpace)
+        );
+    }
+
+    /**
+     * Insert a chunk before the first IDAT (ancillary chunks must come before the image data)
+     */
+    insertPNGChunk(bytes, type, data) {
+        const idat = this._findPNGChunk(bytes, 'IDAT');
+        if (idat < 0) throw new Error('Invalid PNG: no image data');
+
+        return this._concat([bytes.subarray(0, idat), this._createPNGChunk(type, data), bytes.subarray(idat)]);
+    }
+
+    _removePNGChunks(bytes, types) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const parts = [bytes.subarray(0, 8)];
+        let offset = 8;
+
+        while (offset + 8 <= bytes.length) {
+            const end = offset + 12 + view.getUint32(offset);
+            if (!types.includes(String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)))) {
+                parts.push(bytes.subarray(offset, end));
+            }
+            offset = end;
+        }
+
+        return this._concat(parts);
+    }
+
+    _createPNGChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, data.length);
+        chunk.set(this._ascii(type), 4);
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this._crc32(chunk.subarray(4, 8 + data.length)));
+
+        return chunk;
+    }
+
+    /**
+     * zlib stream (PNG iCCP) with the browser's CompressionStream
+     */
+    async _deflate(bytes) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    _findPNGChunk(bytes, type) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        let offset = 8; // PNG signature
+
+        while (offset + 8 <= bytes.length) {
+            const length = view.getUint32(offset);
+            if (String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === type) {
+                return offset;
+            }
+            offset += 12 + length;
+        }
+
+        return -1;
+    }
+
+    /**
+     * Insert an APPn segment right after SOI (and after JFIF APP0 if present)
+     */
+    _insertJPEGSegment(bytes, marker, payload) {
+        if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) throw new Error('Invalid JPEG');
+        if (payload.length + 2 > 0xFFFF) throw new Error('Metadata too large for a JPEG segment');
+
+        let offset = 2;
+        if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+            offset += 2 + ((bytes[4] << 8) | bytes[5]);
+        }
+
+        const segment = new Uint8Array(4 + payload.length);
+        segment[0] = 0xFF;
+        segment[1] = marker;
+        segment[2] = (payload.length + 2) >> 8;
+        segment[3] = (payload.length + 2) & 0xFF;
+        segment.set(payload, 4);
+
+        return this._concat([bytes.subarray(0, offset), segment, bytes.subarray(offset)]);
+    }
+
+    /**
+     * Drop the APPn segments that start with signature (e.g. an ICC profile written by the browser)
+     */
+    _removeJPEGSegments(bytes, marker, signature) {
+        const parts = [bytes.subarray(0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= bytes.length && bytes[offset] === 0xFF && bytes[offset + 1] !== 0xDA) {
+            const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+            const matches = bytes[offset + 1] === marker &&
+                String.fromCharCode(...bytes.subarray(offset + 4, offset + 4 + signature.length)) === signature;
+
+            if (!matches) parts.push(bytes.subarray(offset, end));
+            offset = end;
+        }
+
+        parts.push(bytes.subarray(offset));
+        return this._concat(parts);
+    }
+
+    /**
+     * Metadata in WebP needs the extended (VP8X) header, simple files get one added.
+     * flag is the VP8X feature bit for the chunk (ICCP 0x20, EXIF 0x08, XMP 0x04).
+     * A chunk of the same type is replaced; ICCP must directly follow VP8X, the rest goes last.
+     */
+    _insertWebPChunk(bytes, type, data, flag) {
+        const ascii = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+        if (ascii(0) !== 'RIFF' || ascii(8) !== 'WEBP') throw new Error('Invalid WebP');
+
+        let body = bytes.subarray(12);
+        const firstChunk = ascii(12);
+
+        if (firstChunk === 'VP8X') {
+            body = body.slice();
+            body[8] |= flag;
+        } else {
+            const { width, height, alpha } = this._getWebPInfo(bytes, firstChunk);
+            const header = new Uint8Array(18);
+
+            header.set(this._ascii('VP8X'), 0);
+            header[4] = 10;
+            header[8] = flag | (alpha ? 0x10 : 0);
+            [width - 1, height - 1].forEach((value, i) => {
+                header[12 + i * 3] = value & 0xFF;
+                header[13 + i * 3] = (value >> 8) & 0xFF;
+                header[14 + i * 3] = (value >> 16) & 0xFF;
+            });
+
+            body = this._concat([header, body]);
+        }
+
+        // RIFF chunks are padded to an even size
+        const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+        chunk.set(this._ascii(type), 0);
+        new DataView(chunk.buffer).setUint32(4, data.length, true);
+        chunk.set(data, 8);
+
+        const parts = [];
+        const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+        for (let offset = 0; offset + 8 <= body.length;) {
+            const length = view.getUint32(offset + 4, true);
+            const end = Math.min(body.length, offset + 8 + length + (length & 1));
+            if (String.fromCharCode(...body.subarray(offset, offset + 4)) !== type) {
+                parts.push(body.subarray(offset, end));
+            }
+            offset = end;
+        }
+        parts.splice(type === 'ICCP' ? 1 : parts.length, 0, chunk);
+
+        const output = this._concat([this._ascii('RIFF'), new Uint8Array(4), this._ascii('WEBP'), ...parts]);
+        new DataView(output.buffer).setUint32(4, output.length - 8, true);
+        return output;
+    }
+
+    _getWebPInfo(bytes, chunkType) {
+        const data = 20; // RIFF header (12) + chunk header (8)
+
+        if (chunkType === 'VP8L') {
+            // 14-bit width-1, 14-bit height-1, alpha flag after the 0x2F signature byte
+            const bits = new DataView(bytes.buffer, bytes.byteOffset + data + 1, 4).getUint32(0, true);
+            return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1, alpha: Boolean((bits >> 28) & 1) };
+        }
+
+        if (chunkType === 'VP8 ') {
+            // Key frame header: 3-byte frame tag, 3-byte start code, then 14-bit sizes
+            const view = new DataView(bytes.buffer, bytes.byteOffset + data + 6, 4);
+            return { width: view.getUint16(0, true) & 0x3FFF, height: view.getUint16(2, true) & 0x3FFF, alpha: false };
+        }
+
+        throw new Error(`Unsupported WebP chunk: ${chunkType}`);
+    }
+
+    _toBlob(canvas, type, quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')),
+                type,
+                quality
+            );
+        });
+    }
+
+    _crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    _concat(parts) {
+        const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+
+        parts.forEach(part => {
+            output.set(part, offset);
+            offset += part.length;
+        });
+
+        return output;
+    }
+
+    _ascii(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0));
+    }
+
+    // piexifjs works with binary strings
+    _toBinaryString(bytes) {
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return result;
+    }
+
+    _fromBinaryString(text) {
+        return Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF);
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Fujifilm Grain Simulator - Image Pipeline Module
+ *
+ * @description Runs an ordered list of processing stages on raw ImageData (shared by the worker and the main-thread fallback)
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class ImagePipeline {
+    constructor(grainProcessor, lutProcessor) {
+        this.grainProcessor = grainProcessor;
+        this.lutProcessor = lutProcessor;
+        this.stages = new Map();
+
+        this._registerDefaultStages();
+    }
+
+    /**
+     * Physically sensible order: color first, grain on top (like grain in the film emulsion)
+     */
+    static get DEFAULT_ORDER() {
+        return ['lut', 'grain'];
+    }
+
+    /**
+     * Register a processing stage.
+     * stage = { label, isEnabled(settings, lut), run(imageData, settings, lut, onProgress) }
+     * run receives 8-bit ImageData or, in high precision mode, a float image (see toFloatImage).
+     * Per-pixel color stages can also provide transformColor(color, settings, lut) so the
+     * look can be baked into a LUT file. Stages run inside the worker too, so they must not touch the DOM.
+     */
+    registerStage(id, stage) {
+        this.stages.set(id, stage);
+    }
+
+    _registerDefaultStages() {
+        this.registerStage('lut', {
+            label: 'LUT Color Grading',
+            isEnabled: (settings, lut) =>
+                Boolean(lut && settings.applyLUT && settings.selectedLUT && settings.selectedLUT !== 'none'),
+            run: (imageData, settings, lut, onProgress) =>
+                this.lutProcessor.applyLUTTransformation(imageData, lut, settings.lutStrength || 1.0, onProgress, settings.lutInterpolation),
+            transformColor: (color, settings, lut) =>
+                this.lutProcessor.transformColor(lut, color, settings.lutStrength || 1.0, settings.lutInterpolation)
+        });
+
+        this.registerStage('grain', {
+            label: 'Film Grain',
+            isEnabled: () => true,
+            run: (imageData, settings, lut, onProgress) =>
+                this.grainProcessor.applyGrainToImageData(imageData, settings, onProgress)
+        });
+    }
+
+    /**
+     * Stage list for the UI, in the given order
+     */
+    getStages(order) {
+        return this.normalizeOrder(order).map(id => ({ id, label: this.stages.get(id).label }));
+    }
+
+    /**
+     * Drop unknown stage ids and append registered stages that are missing
+     */
+    normalizeOrder(order) {
+        const known = Array.isArray(order) ? order.filter(id => this.stages.has(id)) : [];
+        const base = known.length ? known : ImagePipeline.DEFAULT_ORDER.filter(id => this.stages.has(id));
+        const missing = Array.from(this.stages.keys()).filter(id => !base.includes(id));
+
+        return [...new Set(base), ...missing];
+    }
+
+    /**
+     * Process ImageData with the given settings.
+     * lut is the parsed LUT data (or null), onProgress receives whole percentages.
+     * For a crop of a larger frame settings.region = { x, y, width, height } tells
+     * spatial stages (grain) where the crop sits, so it matches the full render.
+     * With settings.highPrecision the stages work on Float32 pixels and ImageData input is
+     * quantized once at the end (dithered unless settings.dither is false). A float image
+     * as input is returned as float, e.g. for 16-bit export.
+     */
+    run(imageData, settings, lut, onProgress = null) {
+        const stages = this.normalizeOrder(settings.pipeline)
+            .map(id => this.stages.get(id))
+            .filter(stage => stage.isEnabled(settings, lut));
+        const report = this._createProgressReporter(onProgress);
+        const quantize = settings.highPrecision && !ImagePipeline.isFloatImage(imageData);
+        let result = quantize ? ImagePipeline.toFloatImage(imageData) : imageData;
+
+        stages.forEach((stage, index) => {
+            result = stage.run(result, settings, lut, (p) => report((index + p) / stages.length));
+        });
+
+        if (quantize) {
+            result = ImagePipeline.toImageData(result, settings.dither !== false, settings.region);
+        }
+
+        report(1);
+        return result;
+    }
+
+    // ===== High precision =====
+
+    static isFloatImage(image) {
+        return image.data instanceof Float32Array;
+    }
+
+    /**
+     * 8-bit ImageData to { width, height, data: Float32Array } with RGBA in 0-1 (still sRGB encoded)
+     */
+    static toFloatImage(imageData) {
+        const source = imageData.data;
+        const data = new Float32Array(source.length);
+
+        for (let i = 0; i < source.length; i++) {
+            data[i] = source[i] / 255;
+        }
+
+        return { width: imageData.width, height: imageData.height, data };
+    }
+
+    /**
+     * Float image back to 8-bit ImageData. Dithering adds triangular noise of +-1 step so smooth
+     * gradients turn into fine noise instead of bands; it is hashed from frame coordinates
+     * (region, as in run) so tiles join without seams.
+     */
+    static toImageData(image, dither = true, region = null) {
+        const { width, height, data } = image;
+        const output = new ImageData(width, height);
+        const pixels = output.data;
+        const offsetX = region ? region.x : 0;
+        const offsetY = region ? region.y : 0;
+        let noise = 0;
+
+        for (let y = 0, i = 0; y < height; y++) {
+            for (let x = 0; x < width; x++, i += 4) {
+                if (dither) {
+                    noise = SeededRandom.hash2D(offsetX + x, offsetY + y, 0x2545F491) -
+                        SeededRandom.hash2D(offsetX + x, offsetY + y, 0x9E3779B9);
+                }
+
+                // Uint8ClampedArray rounds and clamps
+                pixels[i] = data[i] * 255 + noise;
+                pixels[i + 1] = data[i + 1] * 255 + noise;
+                pixels[i + 2] = data[i + 2] * 255 + noise;
+                pixels[i + 3] = data[i + 3] * 255;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Combined per-pixel color transform of the enabled color stages, in pipeline order.
+     * Grain is spatial and never part of it.
+     */
+    createColorTransform(settings, lut) {
+        const stages = this.normalizeOrder(settings.pipeline)
+            .map(id => this.stages.get(id))
+            .filter(stage => stage.transformColor && stage.isEnabled(settings, lut));
+
+        return (color) => stages.reduce((result, stage) => stage.transformColor(result, settings, lut), color);
+    }
+
+    /**
+     * Only forward progress when the whole percentage changes
+     */
+    _createProgressReporter(onProgress) {
+        let lastPercent = -1;
+
+        return (fraction) => {
+            if (!onProgress) return;
+
+            const percent = Math.min(100, Math.floor(fraction * 100));
+            if (percent !== lastPercent) {
+                lastPercent = percent;
+                onProgress(percent);
+            }
+        };
+    }
+}
@@ -0,0 +1,334 @@
+/**
+ * Fujifilm Grain Simulator - LUT Gallery Module
+ *
+ * @description Visual LUT browser: thumbnails of the current photo through each LUT, grouped by category with tag filters
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class LUTGallery {
+    constructor(lutProcessor, elements, onSelect) {
+        this.lutProcessor = lutProcessor;
+        this.container = elements.container;
+        this.filterBar = elements.filters;
+        this.infoBox = elements.info;
+        this.onSelect = onSelect;
+
+        this.luts = [];
+        this.selectedId = 'none';
+        this.activeTags = new Set();
+        this.thumbnailSize = 120;
+        this.source = null;
+        this.thumbnails = new Map();
+        this.renderToken = 0;
+
+        // Only LUTs scrolled into view are loaded and rendered
+        this.visibleIds = new Set();
+        this.observer = typeof IntersectionObserver === 'function'
+            ? new IntersectionObserver(entries => this._handleVisibility(entries), { root: this.container, rootMargin: '100px' })
+            : null;
+
+        this._bindEvents();
+    }
+
+    /**
+     * Section order and labels, user LUTs always go last
+     */
+    static get CATEGORIES() {
+        return [
+            { id: 'color', label: 'Color' },
+            { id: 'monochrome', label: 'Monochrome' },
+            { id: 'cinematic', label: 'Cinematic' },
+            { id: 'film', label: 'Other' },
+            { id: 'user', label: 'My LUTs' }
+        ];
+    }
+
+    setLUTs(luts) {
+        this.luts = luts;
+
+        // Drop filters for tags that no longer exist
+        const tags = new Set(luts.flatMap(lut => lut.characteristics || []));
+        this.activeTags.forEach(tag => !tags.has(tag) && this.activeTags.delete(tag));
+
+        this.render();
+    }
+
+    setSelected(lutId) {
+        this.selectedId = lutId || 'none';
+
+        this.container.querySelectorAll('.lut-tile').forEach(tile => {
+            const selected = tile.dataset.lutId === this.selectedId;
+            tile.classList.toggle('active', selected);
+            tile.setAttribute('aria-pressed', selected);
+        });
+    }
+
+    /**
+     * Use a photo (or null for the built-in color swatch) as thumbnail source
+     */
+    setSourceImage(image) {
+        this.source = this._createThumbnailSource(image);
+        this.thumbnails.clear();
+        this.renderThumbnails();
+    }
+
+    render() {
+        if (!this.source) {
+            this.source = this._createThumbnailSource(null);
+        }
+
+        this._renderFilters();
+        this.container.innerHTML = '';
+        this.visibleIds.clear();
+        if (this.observer) this.observer.disconnect();
+
+        // Static tiles
+        const staticSection = this._createSection(null);
+        staticSection.grid.appendChild(this._createTile({ id: 'none', displayName: 'No LUT', description: 'Original colors' }));
+        staticSection.grid.appendChild(this._createTile({ id: 'custom', displayName: 'Upload...', description: 'Add .cube, .3dl, .dat or Hald CLUT files' }));
+        this.container.appendChild(staticSection.section);
+
+        LUTGallery.CATEGORIES.forEach(category => {
+            const luts = this.luts.filter(lut => this._getCategory(lut) === category.id && this._matchesFilters(lut));
+            if (luts.length === 0) return;
+
+            const { section, grid } = this._createSection(category.label);
+            luts.forEach(lut => grid.appendChild(this._createTile(lut)));
+            this.container.appendChild(section);
+        });
+
+        if (this.activeTags.size > 0 && !this.luts.some(lut => this._matchesFilters(lut))) {
+            const empty = document.createElement('div');
+            empty.className = 'form-text';
+            empty.textContent = 'No LUTs match the selected tags.';
+            this.container.appendChild(empty);
+        }
+
+        this.setSelected(this.selectedId);
+        this.renderThumbnails();
+    }
+
+    /**
+     * Draw visible thumbnails one LUT at a time so the page stays responsive
+     */
+    async renderThumbnails() {
+        const token = ++this.renderToken;
+        const canvases = Array.from(this.container.querySelectorAll('canvas[data-lut-id]'))
+            .filter(canvas => !this.observer || this.visibleIds.has(canvas.dataset.lutId));
+
+        for (const canvas of canvases) {
+            if (token !== this.renderToken) return;
+
+            const lutId = canvas.dataset.lutId;
+            let thumbnail = this.thumbnails.get(lutId);
+
+            if (!thumbnail) {
+                thumbnail = await this._renderThumbnail(lutId);
+                if (token !== this.renderToken) return;
+                if (thumbnail) this.thumbnails.set(lutId, thumbnail);
+
+                // Yield to the browser between LUTs
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+
+            if (thumbnail) {
+                canvas.width = thumbnail.width;
+                canvas.height = thumbnail.height;
+                canvas.getContext('2d').putImageData(thumbnail, 0, 0);
+            }
+        }
+    }
+
+    _handleVisibility(entries) {
+        entries.forEach(entry => {
+            const lutId = entry.target.dataset.lutId;
+            if (entry.isIntersecting) {
+                this.visibleIds.add(lutId);
+            } else {
+                this.visibleIds.delete(lutId);
+            }
+        });
+
+        this.renderThumbnails();
+    }
+
+    async _renderThumbnail(lutId) {
+        if (lutId === 'none') {
+            return this.source;
+        }
+
+        try {
+            // Thumbnails must not take the memory-budget pin from the LUT in use
+            const lut = await this.lutProcessor.getLUTData(lutId, false);
+            return lut ? this.lutProcessor.applyLUTTransformation(this.source, lut, 1.0) : null;
+        } catch (error) {
+            console.warn(`⚠️ LUT thumbnail failed: ${lutId}`, error);
+            return null;
+        }
+    }
+
+    _bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const tile = e.target.closest('.lut-tile');
+            if (tile) this.onSelect(tile.dataset.lutId);
+        });
+
+        // Description and filter effect of the hovered (or focused) LUT
+        const showInfo = (e) => {
+            const tile = e.target.closest('.lut-tile');
+            if (tile) this._showInfo(tile.dataset.lutId);
+        };
+        this.container.addEventListener('mouseover', showInfo);
+        this.container.addEventListener('focusin', showInfo);
+        this.container.addEventListener('mouseleave', () => this._showInfo(this.selectedId));
+
+        this.filterBar.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-tag]');
+            if (!chip) return;
+
+            const tag = chip.dataset.tag;
+            if (this.activeTags.has(tag)) {
+                this.activeTags.delete(tag);
+            } else {
+                this.activeTags.add(tag);
+            }
+            this.render();
+        });
+    }
+
+    _renderFilters() {
+        const tags = [...new Set(this.luts.flatMap(lut => lut.characteristics || []))].sort();
+
+        this.filterBar.innerHTML = '';
+        tags.forEach(tag => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `btn btn-sm rounded-pill ${this.activeTags.has(tag) ? 'btn-info text-white' : 'btn-outline-secondary'}`;
+            chip.dataset.tag = tag;
+            chip.textContent = tag;
+            this.filterBar.appendChild(chip);
+        });
+    }
+
+    _showInfo(lutId) {
+        const lut = this.luts.find(item => item.id === lutId);
+
+        this.infoBox.textContent = '';
+        if (!lut) return;
+
+        const title = document.createElement('strong');
+        title.textContent = lut.displayName;
+        this.infoBox.appendChild(title);
+
+        [lut.description, lut.filterEffect && `Filter: ${lut.filterEffect}`]
+            .filter(Boolean)
+            .forEach(text => {
+                const line = document.createElement('div');
+                line.textContent = text;
+                this.infoBox.appendChild(line);
+            });
+    }
+
+    _createSection(label) {
+        const section = document.createElement('div');
+        section.className = 'lut-gallery-section';
+
+        if (label) {
+            const heading = document.createElement('div');
+            heading.className = 'lut-gallery-heading';
+            heading.textContent = label;
+            section.appendChild(heading);
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'lut-gallery-grid';
+        section.appendChild(grid);
+
+        return { section, grid };
+    }
+
+    _createTile(lut) {
+        const tile = document.createElement('button');
+        tile.type = 'button';
+        tile.className = 'lut-tile';
+        tile.dataset.lutId = lut.id;
+        tile.title = [lut.description, lut.filterEffect].filter(Boolean).join('\n');
+
+        if (lut.id === 'custom') {
+            const icon = document.createElement('div');
+            icon.className = 'lut-tile-icon';
+            icon.innerHTML = '<i class="fas fa-upload"></i>';
+            tile.appendChild(icon);
+        } else {
+            const canvas = document.createElement('canvas');
+            canvas.dataset.lutId = lut.id;
+            canvas.width = this.source.width;
+            canvas.height = this.source.height;
+            tile.appendChild(canvas);
+
+            if (this.observer) this.observer.observe(canvas);
+        }
+
+        const label = document.createElement('span');
+        label.className = 'lut-tile-label';
+        label.textContent = lut.displayName;
+        tile.appendChild(label);
+
+        return tile;
+    }
+
+    _getCategory(lut) {
+        if (lut.source === 'user') return 'user';
+        return LUTGallery.CATEGORIES.some(category => category.id === lut.category) ? lut.category : 'film';
+    }
+
+    _matchesFilters(lut) {
+        const tags = lut.characteristics || [];
+        return [...this.activeTags].every(tag => tags.includes(tag));
+    }
+
+    /**
+     * Small copy of the photo, or a hue/gray swatch when there is no photo yet
+     */
+    _createThumbnailSource(image) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+
+        if (image) {
+            const scale = this.thumbnailSize / Math.max(image.naturalWidth, image.naturalHeight);
+            canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+            canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+            ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        } else {
+            canvas.width = this.thumbnailSize;
+            canvas.height = Math.round(this.thumbnailSize * 2 / 3);
+
+            const hue = ctx.createLinearGradient(0, 0, canvas.width, 0);
+            ['#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff', '#ff00ff', '#ff0000'].forEach((color, i, all) => {
+                hue.addColorStop(i / (all.length - 1), color);
+            });
+            ctx.fillStyle = hue;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            // Fade to white on top and black at the bottom, gray ramp along the bottom edge
+            const shade = ctx.createLinearGradient(0, 0, 0, canvas.height);
+            shade.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+            shade.addColorStop(0.5, 'rgba(255, 255, 255, 0)');
+            shade.addColorStop(1, 'rgba(0, 0, 0, 0.8)');
+            ctx.fillStyle = shade;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            const gray = ctx.createLinearGradient(0, 0, canvas.width, 0);
+            gray.addColorStop(0, '#000000');
+            gray.addColorStop(1, '#ffffff');
+            ctx.fillStyle = gray;
+            ctx.fillRect(0, canvas.height - 12, canvas.width, 12);
+        }
+
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+}
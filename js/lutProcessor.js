@@ -9,13 +9,117 @@
  * @created 2025
  */
 
+/**
+ * Rejected LUT file, errors = [{ line, message }] (line 0 = whole file)
+ */
+class LUTParseError extends Error {
+    constructor(errors) {
+        const first = errors[0];
+        const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+        super((first.line ? `Line ${first.line}: ` : '') + first.message + more);
+        this.name = 'LUTParseError';
+        this.errors = errors;
+    }
+}
+
 class LUTProcessor {
-    constructor() {
+    constructor(options = {}) {
         this.lutCache = new Map();
         this.lutSize = 64;
         this.lutManifest = null;
         this.isInitialized = false;
         this.initPromise = null;
+        this.formats = new Map();
+
+        // Memory policy for built-in LUTs (user LUTs cannot be re-fetched and are never evicted)
+        this.memoryBudget = options.memoryBudget || LUTProcessor.getDefaultMemoryBudget();
+        this.pinnedLUT = null;
+        this.pendingLoads = new Map();
+        this.cacheStoragePrefix = 'fuji-grain-luts-';
+        this.cacheStoragePromise = null;
+
+        this._registerDefaultFormats();
+    }
+
+    /**
+     * Budget for parsed built-in LUTs, 8MB per GB of reported device memory (32MB when unknown)
+     */
+    static getDefaultMemoryBudget() {
+        const deviceMemory = (typeof navigator !== 'undefined' && navigator.deviceMemory) || 4;
+        return Math.round(deviceMemory * 8 * 1024 * 1024);
+    }
+
+    /**
+     * Register an importable LUT format.
+     * format = { label, extensions, mimeTypes, read: 'text' | 'image', detect(text), parse(content) }
+     * parse() must return the internal { title, size, data, domainMin, domainMax, lut1D } structure.
+     */
+    registerFormat(id, format) {
+        this.formats.set(id, { extensions: [], mimeTypes: [], ...format });
+    }
+
+    _registerDefaultFormats() {
+        this.registerFormat('cube', {
+            label: 'Adobe/Resolve Cube',
+            extensions: ['.cube'],
+            read: 'text',
+            detect: (text) => /^\s*LUT_(1D|3D)_SIZE\s/m.test(text),
+            parse: (text) => this.parseCUBEFile(text)
+        });
+
+        this.registerFormat('3dl', {
+            label: 'Autodesk/Lustre 3DL',
+            extensions: ['.3dl'],
+            read: 'text',
+            detect: (text) => /^\s*(3DMESH|Mesh\s+\d+\s+\d+|\d+(\s+\d+){3,})\s*$/m.test(text),
+            parse: (text) => this.parse3DLFile(text)
+        });
+
+        this.registerFormat('dat', {
+            label: 'DaVinci .dat',
+            extensions: ['.dat'],
+            read: 'text',
+            detect: (text) => /^\s*3DLUTSIZE\s/m.test(text),
+            parse: (text) => this.parseDATFile(text)
+        });
+
+        this.registerFormat('hald', {
+            label: 'Hald CLUT image',
+            extensions: ['.png'],
+            mimeTypes: ['image/png'],
+            read: 'image',
+            parse: (imageData) => this.parseHaldImage(imageData)
+        });
+    }
+
+    /**
+     * File input accept attribute for all registered formats
+     */
+    getAcceptedExtensions() {
+        return Array.from(this.formats.values()).flatMap(format => format.extensions).join(',');
+    }
+
+    /**
+     * Find the format by extension / MIME type, or by content for text files
+     */
+    detectFormat(file, text = null) {
+        const fileName = file.name.toLowerCase();
+
+        for (const [id, format] of this.formats) {
+            if (format.extensions.some(ext => fileName.endsWith(ext)) || format.mimeTypes.includes(file.type)) {
+                return id;
+            }
+        }
+
+        if (text !== null) {
+            for (const [id, format] of this.formats) {
+                if (format.read === 'text' && format.detect && format.detect(text)) {
+                    return id;
+                }
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -163,12 +267,20 @@ class LUTProcessor {
         const availableLUTs = [];
         
         for (const [lutId, lutInfo] of this.lutCache) {
+            const source = lutInfo.metadata?.source || 'builtin';
+            const name = lutInfo.metadata?.name || this.formatLUTName(lutId);
+
             availableLUTs.push({
                 id: lutId,
-                name: lutInfo.metadata?.name || this.formatLUTName(lutId),
-                displayName: this.formatDisplayName(lutId),
+                name: name,
+                displayName: source === 'user' ? name : this.formatDisplayName(lutId),
                 loaded: lutInfo.data !== null,
-                category: lutInfo.metadata?.category || 'film'
+                category: lutInfo.metadata?.category || 'film',
+                type: lutInfo.metadata?.type || '',
+                description: lutInfo.metadata?.description || '',
+                characteristics: lutInfo.metadata?.characteristics || [],
+                filterEffect: lutInfo.metadata?.filter_effect || '',
+                source: source
             });
         }
 
@@ -178,6 +290,13 @@ class LUTProcessor {
         return availableLUTs;
     }
 
+    /**
+     * Film-stock presets from the manifest (empty when there is no manifest)
+     */
+    getManifestPresets() {
+        return this.lutManifest?.presets || [];
+    }
+
     /**
      * Format LUT ID to readable name
      */
@@ -213,25 +332,42 @@ class LUTProcessor {
     }
 
     /**
-     * Load external LUT file
+     * Load a built-in LUT: parsed copy from Cache Storage, otherwise fetch and parse the .cube.
+     * Concurrent requests for the same LUT share one load.
+     * background=true (prefetch, thumbnails) keeps the entry when loading fails, it is only marked as failed.
      */
-    async loadExternalLUT(lutName) {
+    loadExternalLUT(lutName, background = false) {
+        if (this.pendingLoads.has(lutName)) {
+            return this.pendingLoads.get(lutName);
+        }
+
+        const load = this._loadExternalLUT(lutName, background).finally(() => this.pendingLoads.delete(lutName));
+        this.pendingLoads.set(lutName, load);
+        return load;
+    }
+
+    async _loadExternalLUT(lutName, background) {
         console.log(`📥 Loading LUT: ${lutName}`);
         
         try {
-            const response = await fetch(`luts/${lutName}.cube`);
-            if (!response.ok) {
-                throw new Error(`LUT not found: ${lutName}.cube`);
+            let lutData = await this._readCachedLUT(lutName);
+
+            if (!lutData) {
+                const response = await fetch(`luts/${lutName}.cube`);
+                if (!response.ok) {
+                    throw new Error(`LUT not found: ${lutName}.cube`);
+                }
+
+                const cubeContent = await response.text();
+                lutData = this.parseCUBEFile(cubeContent);
+                await this._writeCachedLUT(lutName, lutData);
             }
             
-            const cubeContent = await response.text();
-            const lutData = this.parseCUBEFile(cubeContent);
-            
-            // Update cache
+            // Update cache (access time is only touched by renders, see getLUTData)
             if (this.lutCache.has(lutName)) {
                 const lutInfo = this.lutCache.get(lutName);
                 lutInfo.data = lutData;
-                lutInfo.lastAccessed = Date.now();
+                lutInfo.loadFailed = false;
             } else {
                 this.lutCache.set(lutName, {
                     data: lutData,
@@ -239,6 +375,8 @@ class LUTProcessor {
                     lastAccessed: Date.now()
                 });
             }
+
+            this.enforceMemoryBudget();
             
             console.log(`✅ LUT loaded: ${lutName}`);
             return lutData;
@@ -246,126 +384,626 @@ class LUTProcessor {
         } catch (error) {
             console.error(`❌ Failed to load LUT ${lutName}:`, error);
             
-            // Remove problematic LUT from cache
-            this.lutCache.delete(lutName);
+            // Remove problematic LUT from cache, a failed prefetch only skips it in later prefetches
+            const lutInfo = this.lutCache.get(lutName);
+            if (background && lutInfo) {
+                lutInfo.loadFailed = true;
+            } else {
+                this.lutCache.delete(lutName);
+            }
             throw error;
         }
     }
 
+    // ===== Memory budget (LRU) =====
+
+    setMemoryBudget(bytes) {
+        this.memoryBudget = bytes;
+        this.enforceMemoryBudget();
+    }
+
+    getLUTByteSize(lutData) {
+        if (!lutData) return 0;
+
+        const bytes = (data) => data ? (data.byteLength || data.length * 24) : 0;
+        return bytes(lutData.data) + (lutData.lut1D ? bytes(lutData.lut1D.data) : 0);
+    }
+
+    /**
+     * Drop the least recently used built-in LUTs until the loaded data fits the budget.
+     * The pinned LUT (last one requested for rendering) is always kept.
+     */
+    enforceMemoryBudget() {
+        let total = 0;
+        const evictable = [];
+
+        for (const [lutId, lutInfo] of this.lutCache) {
+            if (!lutInfo.data) continue;
+
+            total += this.getLUTByteSize(lutInfo.data);
+            if (lutInfo.metadata?.source !== 'user' && lutId !== this.pinnedLUT) {
+                evictable.push([lutId, lutInfo]);
+            }
+        }
+
+        evictable.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+
+        while (total > this.memoryBudget && evictable.length > 0) {
+            const [lutId, lutInfo] = evictable.shift();
+            total -= this.getLUTByteSize(lutInfo.data);
+            lutInfo.data = null;
+            console.log(`🧹 LUT evicted (LRU): ${lutId}`);
+        }
+    }
+
+    /**
+     * Load LUTs in the background, one at a time when the browser is idle
+     */
+    prefetchLUTs(lutNames) {
+        const queue = lutNames.filter(lutName => {
+            const lutInfo = this.lutCache.get(lutName);
+            return lutInfo && !lutInfo.data && !lutInfo.loadFailed && lutInfo.metadata?.source !== 'user';
+        });
+
+        const idle = typeof requestIdleCallback === 'function'
+            ? (callback) => requestIdleCallback(callback, { timeout: 2000 })
+            : (callback) => setTimeout(callback, 200);
+
+        const next = () => {
+            const lutName = queue.shift();
+            if (!lutName) return;
+
+            idle(() => {
+                this.loadExternalLUT(lutName, true)
+                    .then(() => console.log(`🔮 LUT prefetched: ${lutName}`))
+                    .catch(() => {})
+                    .finally(next);
+            });
+        };
+
+        next();
+    }
+
+    // ===== Cache Storage (parsed LUTs survive reloads) =====
+
+    _openCacheStorage() {
+        if (this.cacheStoragePromise) {
+            return this.cacheStoragePromise;
+        }
+
+        if (typeof caches === 'undefined') {
+            this.cacheStoragePromise = Promise.resolve(null);
+            return this.cacheStoragePromise;
+        }
+
+        // New manifest version = new cache, old ones are deleted
+        const cacheName = this.cacheStoragePrefix + (this.lutManifest?.version || 'dev');
+
+        this.cacheStoragePromise = (async () => {
+            try {
+                const names = await caches.keys();
+                await Promise.all(names
+                    .filter(name => name.startsWith(this.cacheStoragePrefix) && name !== cacheName)
+                    .map(name => caches.delete(name)));
+
+                return await caches.open(cacheName);
+            } catch (error) {
+                console.warn('⚠️ Cache Storage unavailable for LUTs:', error.message);
+                return null;
+            }
+        })();
+
+        return this.cacheStoragePromise;
+    }
+
+    /**
+     * Parsed LUTs are stored as raw Float32 data (1D table first) with the header in X-LUT-Meta
+     */
+    async _writeCachedLUT(lutName, lutData) {
+        const cache = await this._openCacheStorage();
+        if (!cache) return;
+
+        const lut1D = lutData.lut1D;
+        const meta = {
+            title: lutData.title,
+            size: lutData.size,
+            domainMin: lutData.domainMin,
+            domainMax: lutData.domainMax,
+            lut1D: lut1D ? { size: lut1D.size, domainMin: lut1D.domainMin, domainMax: lut1D.domainMax } : null
+        };
+        const body = new Blob(lut1D ? [lut1D.data, lutData.data] : [lutData.data]);
+
+        try {
+            await cache.put(`luts/${lutName}.cube`, new Response(body, {
+                headers: { 'Content-Type': 'application/octet-stream', 'X-LUT-Meta': JSON.stringify(meta) }
+            }));
+        } catch (error) {
+            console.warn(`⚠️ Failed to cache LUT ${lutName}:`, error.message);
+        }
+    }
+
+    async _readCachedLUT(lutName) {
+        const cache = await this._openCacheStorage();
+        if (!cache) return null;
+
+        try {
+            const response = await cache.match(`luts/${lutName}.cube`);
+            if (!response) return null;
+
+            const meta = JSON.parse(response.headers.get('X-LUT-Meta'));
+            const values = new Float32Array(await response.arrayBuffer());
+            const size1D = meta.lut1D ? meta.lut1D.size * 3 : 0;
+
+            console.log(`⚡ LUT restored from Cache Storage: ${lutName}`);
+            return {
+                ...meta,
+                data: values.slice(size1D),
+                lut1D: meta.lut1D ? { ...meta.lut1D, data: values.slice(0, size1D) } : null
+            };
+        } catch (error) {
+            console.warn(`⚠️ Cached LUT unreadable, fetching again: ${lutName}`);
+            return null;
+        }
+    }
+
     /**
-     * Load custom LUT from file upload
+     * Read and parse an uploaded LUT file in any registered format (register it with registerUserLUT)
      */
     async loadCustomLUT(file) {
+        let formatId = this.detectFormat(file);
+        let content = null;
+
+        if (!formatId || this.formats.get(formatId).read === 'text') {
+            content = await this._readFileAsText(file);
+            formatId = formatId || this.detectFormat(file, content);
+        }
+
+        if (!formatId) {
+            throw new Error(`Unsupported LUT format. Use: ${this.getAcceptedExtensions()}`);
+        }
+
+        const format = this.formats.get(formatId);
+        if (format.read === 'image') {
+            content = await this._readFileAsImageData(file);
+        }
+
+        try {
+            const lutData = format.parse(content);
+            lutData.format = formatId;
+
+            console.log(`✅ Custom LUT parsed (${format.label}):`, file.name);
+            return lutData;
+
+        } catch (error) {
+            // Keep the line-numbered errors for the UI
+            throw error instanceof LUTParseError ? error : new Error(`Failed to parse LUT: ${error.message}`);
+        }
+    }
+
+    _readFileAsText(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const lutData = this.parseCUBEFile(e.target.result);
-                    
-                    this.lutCache.set('custom', {
-                        data: lutData,
-                        metadata: { 
-                            id: 'custom', 
-                            name: 'Custom LUT',
-                            description: `Uploaded: ${file.name}`
-                        },
-                        lastAccessed: Date.now()
-                    });
-                    
-                    console.log('✅ Custom LUT loaded:', file.name);
-                    resolve(lutData);
-                    
-                } catch (error) {
-                    reject(new Error(`Failed to parse LUT: ${error.message}`));
-                }
-            };
-            
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsText(file);
         });
     }
 
+    async _readFileAsImageData(file) {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+        } catch (error) {
+            throw new Error('Failed to decode LUT image');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Register a user LUT (uploaded or restored from storage) under its own id
+     */
+    registerUserLUT(lutId, lutData, name, fileName = '') {
+        this.lutCache.set(lutId, {
+            data: this.packLUT(lutData),
+            metadata: {
+                id: lutId,
+                name: name,
+                category: 'custom',
+                source: 'user',
+                description: fileName ? `Uploaded: ${fileName}` : name
+            },
+            lastAccessed: Date.now()
+        });
+    }
+
+    renameUserLUT(lutId, name) {
+        const lutInfo = this.lutCache.get(lutId);
+        if (lutInfo && lutInfo.metadata?.source === 'user') {
+            lutInfo.metadata.name = name;
+        }
+    }
+
+    removeLUT(lutId) {
+        this.lutCache.delete(lutId);
+    }
+
     /**
-     * Parse .cube file content
+     * Parse a .cube file (Adobe Cube LUT spec 1.0 plus the Resolve 1D shaper + 3D combo).
+     * Returns { title, size, data, domainMin, domainMax, lut1D } where lut1D is
+     * { size, data, domainMin, domainMax } or null and data is a packed RGB Float32Array.
+     * Throws LUTParseError with line numbers.
      */
     parseCUBEFile(content) {
-        const lines = content.split('\n');
-        const lut = {
-            size: 33, // Default size
-            data: [],
-            title: 'Unknown LUT'
+        const lines = content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+        const errors = [];
+        const header = {
+            title: 'Unknown LUT',
+            size1D: 0,
+            size3D: 0,
+            domainMin: null,
+            domainMax: null,
+            range1D: null,
+            range3D: null
         };
+        const values = [];
+        let firstDataLine = 0;
 
-        for (const line of lines) {
-            const trimmed = line.trim();
-            
-            if (!trimmed || trimmed.startsWith('#')) continue;
+        const fail = (lineNumber, message) => {
+            // Enough to show in the UI, a broken file could report every line
+            if (errors.length < 20) errors.push({ line: lineNumber, message });
+        };
 
-            if (trimmed.startsWith('TITLE')) {
-                lut.title = trimmed.replace('TITLE', '').replace(/"/g, '').trim();
+        const parseNumbers = (parts, count, lineNumber, keyword) => {
+            const numbers = parts.map(Number);
+            if (parts.length !== count || numbers.some(n => !Number.isFinite(n))) {
+                fail(lineNumber, `${keyword} expects ${count} number${count > 1 ? 's' : ''}`);
+                return null;
             }
-            else if (trimmed.startsWith('LUT_3D_SIZE')) {
-                lut.size = parseInt(trimmed.replace('LUT_3D_SIZE', '').trim());
+            return numbers;
+        };
+
+        lines.forEach((line, index) => {
+            const lineNumber = index + 1;
+            let trimmed = line.trim();
+
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            // Quoted title may contain '#', other lines can have trailing comments
+            if (trimmed.startsWith('TITLE')) {
+                const match = trimmed.match(/^TITLE\s+"([^"]*)"/) || trimmed.match(/^TITLE\s+(.*)$/);
+                header.title = match ? match[1].trim() : header.title;
+                return;
             }
-            else {
-                // Parse data lines
-                const values = trimmed.split(/\s+/).filter(v => v);
-                if (values.length === 3) {
-                    lut.data.push({
-                        r: Math.max(0, Math.min(1, parseFloat(values[0]))),
-                        g: Math.max(0, Math.min(1, parseFloat(values[1]))),
-                        b: Math.max(0, Math.min(1, parseFloat(values[2])))
-                    });
+
+            trimmed = trimmed.replace(/#.*$/, '').trim();
+            if (!trimmed) return;
+
+            const parts = trimmed.split(/\s+/);
+            const keyword = parts[0];
+
+            if (/^[A-Za-z]/.test(keyword)) {
+                if (firstDataLine) {
+                    fail(lineNumber, `Keyword ${keyword} found after LUT data started on line ${firstDataLine}`);
+                    return;
+                }
+
+                const args = parts.slice(1);
+                switch (keyword) {
+                    case 'LUT_1D_SIZE':
+                    case 'LUT_3D_SIZE': {
+                        const [size] = parseNumbers(args, 1, lineNumber, keyword) || [];
+                        const [min, max] = keyword === 'LUT_1D_SIZE' ? [2, 65536] : [2, 256];
+
+                        if (size === undefined) return;
+                        if (!Number.isInteger(size) || size < min || size > max) {
+                            fail(lineNumber, `${keyword} must be an integer from ${min} to ${max}`);
+                            return;
+                        }
+                        header[keyword === 'LUT_1D_SIZE' ? 'size1D' : 'size3D'] = size;
+                        break;
+                    }
+                    case 'DOMAIN_MIN':
+                    case 'DOMAIN_MAX':
+                        header[keyword === 'DOMAIN_MIN' ? 'domainMin' : 'domainMax'] = parseNumbers(args, 3, lineNumber, keyword);
+                        break;
+                    case 'LUT_1D_INPUT_RANGE':
+                    case 'LUT_3D_INPUT_RANGE':
+                        header[keyword === 'LUT_1D_INPUT_RANGE' ? 'range1D' : 'range3D'] = parseNumbers(args, 2, lineNumber, keyword);
+                        break;
+                    default:
+                        // e.g. LUT_IN_VIDEO_RANGE from Resolve - not needed for display
+                        console.warn(`⚠️ Ignoring unknown .cube keyword on line ${lineNumber}: ${keyword}`);
                 }
+                return;
             }
+
+            // Data line
+            if (!firstDataLine) firstDataLine = lineNumber;
+
+            const rgb = parseNumbers(parts, 3, lineNumber, 'LUT data line');
+            if (rgb) values.push(rgb);
+        });
+
+        if (!header.size1D && !header.size3D) {
+            fail(0, 'Missing LUT_1D_SIZE or LUT_3D_SIZE');
         }
 
-        if (lut.data.length === 0) {
-            throw new Error('No valid LUT data found');
+        const expected1D = header.size1D;
+        const expected3D = header.size3D ** 3;
+        if (errors.length === 0 && values.length !== expected1D + expected3D) {
+            fail(firstDataLine || lines.length, `Expected ${expected1D + expected3D} LUT entries, found ${values.length}`);
         }
 
-        // Validate LUT size
-        const expectedSize = lut.size * lut.size * lut.size;
-        if (lut.data.length !== expectedSize) {
-            console.warn(`LUT size mismatch: expected ${expectedSize}, got ${lut.data.length}`);
+        const domain = (range, fallbackMin, fallbackMax) => {
+            const domainMin = range ? [range[0], range[0], range[0]] : (fallbackMin || [0, 0, 0]);
+            const domainMax = range ? [range[1], range[1], range[1]] : (fallbackMax || [1, 1, 1]);
+
+            if (domainMin.some((v, c) => v >= domainMax[c])) {
+                fail(0, 'DOMAIN_MIN must be lower than DOMAIN_MAX on every channel');
+            }
+            return { domainMin, domainMax };
+        };
+
+        // DOMAIN_MIN/MAX apply to the single table, or to the shaper in a 1D + 3D combo
+        const domain1D = domain(header.range1D, header.domainMin, header.domainMax);
+        const domain3D = header.size1D
+            ? domain(header.range3D, null, null)
+            : domain(header.range3D, header.domainMin, header.domainMax);
+
+        if (errors.length > 0) {
+            throw new LUTParseError(errors);
         }
 
-        return lut;
+        return {
+            title: header.title,
+            size: header.size3D,
+            data: this._packColors(values.slice(expected1D)),
+            domainMin: domain3D.domainMin,
+            domainMax: domain3D.domainMax,
+            lut1D: header.size1D ? {
+                size: header.size1D,
+                data: this._packColors(values.slice(0, expected1D)),
+                domainMin: domain1D.domainMin,
+                domainMax: domain1D.domainMax
+            } : null
+        };
     }
 
     /**
-     * Apply LUT to ImageData (main processing method)
+     * Parse an Autodesk/Lustre .3dl file. The first row is the input mesh (one entry per
+     * grid point), data rows are integers with blue changing fastest.
      */
-    async applyLUT(imageData, lutName, strength = 1.0) {
+    parse3DLFile(content) {
+        const rows = [];
+        let outputBits = 0;
+
+        content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((line, index) => {
+            const trimmed = line.replace(/#.*$/, '').trim();
+            if (!trimmed || trimmed === '3DMESH' || /^(LUT8|gamma)\b/i.test(trimmed)) return;
+
+            const mesh = trimmed.match(/^Mesh\s+(\d+)\s+(\d+)$/i);
+            if (mesh) {
+                outputBits = parseInt(mesh[2], 10);
+                return;
+            }
+
+            rows.push({ line: index + 1, values: trimmed.split(/\s+/).map(Number) });
+        });
+
+        const meshRow = rows.shift();
+        if (!meshRow || meshRow.values.length < 2 || meshRow.values.some(v => !Number.isInteger(v))) {
+            throw new LUTParseError([{ line: meshRow ? meshRow.line : 0, message: 'Missing input mesh row' }]);
+        }
+
+        const size = meshRow.values.length;
+        const expected = size * size * size;
+        const errors = [];
+
+        rows.forEach(row => {
+            if (errors.length < 20 && (row.values.length !== 3 || row.values.some(v => !Number.isFinite(v)))) {
+                errors.push({ line: row.line, message: 'LUT data line expects 3 numbers' });
+            }
+        });
+        if (errors.length === 0 && rows.length !== expected) {
+            errors.push({ line: 0, message: `Expected ${expected} LUT entries for a ${size}-point mesh, found ${rows.length}` });
+        }
+        if (errors.length > 0) {
+            throw new LUTParseError(errors);
+        }
+
+        const maxValue = outputBits
+            ? Math.pow(2, outputBits) - 1
+            : this._inferIntegerRange(rows.map(row => row.values));
+        const data = new Float32Array(expected * 3);
+
+        // Reorder blue-fastest to the red-fastest layout of .cube
+        rows.forEach((row, k) => {
+            const b = k % size;
+            const g = Math.floor(k / size) % size;
+            const r = Math.floor(k / (size * size));
+            const index = ((b * size + g) * size + r) * 3;
+
+            data[index]     = row.values[0] / maxValue;
+            data[index + 1] = row.values[1] / maxValue;
+            data[index + 2] = row.values[2] / maxValue;
+        });
+
+        return this._createLUT3D(size, data);
+    }
+
+    /**
+     * Parse a DaVinci .dat 3D LUT: optional "3DLUTSIZE n" header, then red-fastest rows
+     * as floats (0-1) or integer code values
+     */
+    parseDATFile(content) {
+        const values = [];
+        const errors = [];
+        let size = 0;
+
+        content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((line, index) => {
+            const trimmed = line.replace(/#.*$/, '').trim();
+            if (!trimmed) return;
+
+            const header = trimmed.match(/^(3DLUTSIZE|LUT_3D_SIZE)\s+(\d+)$/);
+            if (header) {
+                size = parseInt(header[2], 10);
+                return;
+            }
+
+            const rgb = trimmed.split(/\s+/).map(Number);
+            if (rgb.length !== 3 || rgb.some(v => !Number.isFinite(v))) {
+                if (errors.length < 20) errors.push({ line: index + 1, message: 'LUT data line expects 3 numbers' });
+                return;
+            }
+            values.push(rgb);
+        });
+
+        // Without a header the table must be a full cube
+        size = size || Math.round(Math.cbrt(values.length));
+        if (errors.length === 0 && (size < 2 || values.length !== size * size * size)) {
+            errors.push({ line: 0, message: `Expected ${size * size * size} LUT entries, found ${values.length}` });
+        }
+        if (errors.length > 0) {
+            throw new LUTParseError(errors);
+        }
+
+        const maxValue = this._inferIntegerRange(values);
+        const data = this._packColors(values).map(value => value / maxValue);
+
+        return this._createLUT3D(size, data);
+    }
+
+    /**
+     * Parse a Hald CLUT image: level L gives an L³ x L³ image holding an L² grid, red fastest
+     */
+    parseHaldImage(imageData) {
+        const { width, height, data: pixels } = imageData;
+        const level = Math.round(Math.cbrt(width));
+
+        if (width !== height || level * level * level !== width || level < 2) {
+            throw new LUTParseError([{ line: 0, message: `Not a Hald CLUT image (${width}x${height}), expected a square of level³ pixels like 512x512` }]);
+        }
+
+        const size = level * level;
+        const count = size * size * size;
+        const data = new Float32Array(count * 3);
+
+        for (let i = 0; i < count; i++) {
+            data[i * 3]     = pixels[i * 4] / 255;
+            data[i * 3 + 1] = pixels[i * 4 + 1] / 255;
+            data[i * 3 + 2] = pixels[i * 4 + 2] / 255;
+        }
+
+        return this._createLUT3D(size, data);
+    }
+
+    /**
+     * Full-scale value of integer LUT formats (10, 12 or 16 bit); float tables stay as they are
+     */
+    _inferIntegerRange(rows) {
+        const max = rows.reduce((result, rgb) => Math.max(result, rgb[0], rgb[1], rgb[2]), 0);
+
+        if (max <= 1.5) return 1;
+        if (max <= 1023) return 1023;
+        if (max <= 4095) return 4095;
+        return 65535;
+    }
+
+    /**
+     * [[r, g, b], ...] -> packed Float32Array
+     */
+    _packColors(values) {
+        const packed = new Float32Array(values.length * 3);
+        values.forEach((rgb, i) => packed.set(rgb, i * 3));
+        return packed;
+    }
+
+    /**
+     * Convert LUTs stored by older versions (arrays of {r, g, b}) to the packed layout
+     */
+    packLUT(lut) {
+        const pack = (data) => Array.isArray(data)
+            ? this._packColors(data.map(color => [color.r, color.g, color.b]))
+            : data;
+
+        return {
+            ...lut,
+            data: pack(lut.data),
+            domainMin: lut.domainMin || [0, 0, 0],
+            domainMax: lut.domainMax || [1, 1, 1],
+            lut1D: lut.lut1D ? { ...lut.lut1D, data: pack(lut.lut1D.data) } : null
+        };
+    }
+
+    /**
+     * Formats without a title get named after the file
+     */
+    _createLUT3D(size, data) {
+        return { title: '', size, data, domainMin: [0, 0, 0], domainMax: [1, 1, 1], lut1D: null };
+    }
+
+    /**
+     * Get parsed LUT data, loading it from disk when needed.
+     * Returns null when the LUT is unknown or fails to load.
+     * pin=false for background use (thumbnails) so the LUT being rendered stays protected
+     * and the LRU order only follows renders.
+     */
+    async getLUTData(lutName, pin = true) {
         if (!this.isInitialized) {
             await this.initialize();
         }
 
-        // Early returns for no-op cases
-        if (lutName === 'none' || strength === 0 || !imageData) {
-            return imageData;
+        if (!lutName || lutName === 'none') {
+            return null;
         }
 
-        // Get or load LUT
         let lutInfo = this.lutCache.get(lutName);
         if (!lutInfo) {
             console.warn(`❌ LUT not found: ${lutName}`);
-            return imageData;
+            return null;
+        }
+
+        // The LUT in use is never evicted, access time drives the LRU eviction
+        if (pin) {
+            this.pinnedLUT = lutName;
+            lutInfo.lastAccessed = Date.now();
         }
 
         let lutData = lutInfo.data;
         if (!lutData) {
             try {
-                lutData = await this.loadExternalLUT(lutName);
+                lutData = await this.loadExternalLUT(lutName, !pin);
             } catch (error) {
                 console.warn(`❌ Failed to load LUT ${lutName}:`, error);
-                return imageData;
+                return null;
             }
         }
 
-        // Update access time for cache management
-        lutInfo.lastAccessed = Date.now();
+        return lutData;
+    }
+
+    /**
+     * Apply LUT to ImageData (main processing method)
+     */
+    async applyLUT(imageData, lutName, strength = 1.0) {
+        // Early returns for no-op cases
+        if (lutName === 'none' || strength === 0 || !imageData) {
+            return imageData;
+        }
+
+        const lutData = await this.getLUTData(lutName);
+        if (!lutData) {
+            return imageData;
+        }
 
         // Apply LUT transformation
         return this.applyLUTTransformation(imageData, lutData, strength);
@@ -373,96 +1011,355 @@ class LUTProcessor {
 
     /**
      * Apply LUT transformation to ImageData
+     * onProgress (optional) receives values from 0 to 1
      */
-    applyLUTTransformation(imageData, lut, strength) {
+    applyLUTTransformation(imageData, lut, strength, onProgress = null, interpolation = 'tetrahedral') {
+        if (imageData.data instanceof Float32Array) {
+            return this._applyLUTTransformationFloat(imageData, lut, strength, onProgress, interpolation);
+        }
+
         const newImageData = new ImageData(
             new Uint8ClampedArray(imageData.data),
             imageData.width,
             imageData.height
         );
-        
+
         const data = newImageData.data;
-        const lutSize = lut.size;
         const dataLength = data.length;
+        const progressStep = imageData.width * 4 * 64; // report every 64 rows
+
+        // Fast path: 8-bit input only has 256 values per channel, so the 1D shaper and
+        // domain mapping are precomputed into grid positions (no per-pixel allocations)
+        const fast = this._prepareFastPath(lut);
+        const table = lut.data;
+        const out = new Float32Array(3);
+        const tetrahedral = interpolation !== 'trilinear';
 
-        // Optimized loop for better performance
         for (let i = 0; i < dataLength; i += 4) {
-            const r = data[i] / 255;
-            const g = data[i + 1] / 255;
-            const b = data[i + 2] / 255;
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
 
-            const lutColor = this.sampleLUT3D(lut, r, g, b, lutSize);
+            if (fast.size) {
+                const base = fast.index[r] + fast.index[256 + g] + fast.index[512 + b];
+                if (tetrahedral) {
+                    this._interpolateTetrahedral(table, base, fast.strides, fast.fraction[r], fast.fraction[256 + g], fast.fraction[512 + b], out);
+                } else {
+                    this._interpolateTrilinear(table, base, fast.strides, fast.fraction[r], fast.fraction[256 + g], fast.fraction[512 + b], out);
+                }
+            } else {
+                // 1D-only LUT
+                out[0] = fast.curve[r];
+                out[1] = fast.curve[256 + g];
+                out[2] = fast.curve[512 + b];
+            }
 
             // Blend with original based on strength
-            data[i]     = this.mix(data[i],     lutColor.r * 255, strength);
-            data[i + 1] = this.mix(data[i + 1], lutColor.g * 255, strength);
-            data[i + 2] = this.mix(data[i + 2], lutColor.b * 255, strength);
+            data[i]     = r + (out[0] * 255 - r) * strength;
+            data[i + 1] = g + (out[1] * 255 - g) * strength;
+            data[i + 2] = b + (out[2] * 255 - b) * strength;
             // Alpha channel remains unchanged
+
+            if (onProgress && i % progressStep === 0) {
+                onProgress(i / dataLength);
+            }
         }
 
+        if (onProgress) onProgress(1);
         return newImageData;
     }
 
     /**
-     * 3D LUT sampling with trilinear interpolation
+     * High precision variant for float images (0-1): grid positions are computed per pixel
+     * and the result stays float, so nothing is rounded to 8 bits between stages
      */
-    sampleLUT3D(lut, r, g, b, size) {
-        const x = r * (size - 1);
-        const y = g * (size - 1);
-        const z = b * (size - 1);
+    _applyLUTTransformationFloat(image, lut, strength, onProgress = null, interpolation = 'tetrahedral') {
+        const data = new Float32Array(image.data);
+        const dataLength = data.length;
+        const progressStep = image.width * 4 * 64; // report every 64 rows
+
+        const size = lut.size;
+        const table = lut.data;
+        const strides = [3, size * 3, size * size * 3];
+        const domainMin = lut.domainMin || [0, 0, 0];
+        const domainMax = lut.domainMax || [1, 1, 1];
+        const interpolate = interpolation === 'trilinear' ? this._interpolateTrilinear : this._interpolateTetrahedral;
+        const shaped = new Float32Array(3);
+        const position = new Float32Array(3);
+        const cell = new Int32Array(3);
+        const out = new Float32Array(3);
 
-        const x0 = Math.floor(x);
-        const y0 = Math.floor(y);
-        const z0 = Math.floor(z);
-        const x1 = Math.min(x0 + 1, size - 1);
-        const y1 = Math.min(y0 + 1, size - 1);
-        const z1 = Math.min(z0 + 1, size - 1);
+        for (let i = 0; i < dataLength; i += 4) {
+            for (let c = 0; c < 3; c++) {
+                shaped[c] = lut.lut1D ? this._sampleLUT1DChannel(lut.lut1D, c, data[i + c]) : data[i + c];
+                if (!size) continue;
 
-        const dx = x - x0;
-        const dy = y - y0;
-        const dz = z - z0;
+                position[c] = this.normalizeToDomain(shaped[c], domainMin[c], domainMax[c]) * (size - 1);
+                cell[c] = Math.min(Math.floor(position[c]), size - 2);
+            }
 
-        // Get the 8 corner points
-        const c000 = this.getLUTColor(lut, x0, y0, z0, size);
-        const c100 = this.getLUTColor(lut, x1, y0, z0, size);
-        const c010 = this.getLUTColor(lut, x0, y1, z0, size);
-        const c110 = this.getLUTColor(lut, x1, y1, z0, size);
-        const c001 = this.getLUTColor(lut, x0, y0, z1, size);
-        const c101 = this.getLUTColor(lut, x1, y0, z1, size);
-        const c011 = this.getLUTColor(lut, x0, y1, z1, size);
-        const c111 = this.getLUTColor(lut, x1, y1, z1, size);
+            if (size) {
+                const base = cell[0] * strides[0] + cell[1] * strides[1] + cell[2] * strides[2];
+                interpolate(table, base, strides, position[0] - cell[0], position[1] - cell[1], position[2] - cell[2], out);
+            } else {
+                // 1D-only LUT
+                out.set(shaped);
+            }
 
-        // Trilinear interpolation
-        const c00 = this.mixColor(c000, c100, dx);
-        const c01 = this.mixColor(c001, c101, dx);
-        const c10 = this.mixColor(c010, c110, dx);
-        const c11 = this.mixColor(c011, c111, dx);
+            // Blend with original based on strength
+            data[i]     += (out[0] - data[i]) * strength;
+            data[i + 1] += (out[1] - data[i + 1]) * strength;
+            data[i + 2] += (out[2] - data[i + 2]) * strength;
 
-        const c0 = this.mixColor(c00, c10, dy);
-        const c1 = this.mixColor(c01, c11, dy);
+            if (onProgress && i % progressStep === 0) {
+                onProgress(i / dataLength);
+            }
+        }
 
-        return this.mixColor(c0, c1, dz);
+        if (onProgress) onProgress(1);
+        return { width: image.width, height: image.height, data };
     }
 
     /**
-     * Get LUT color at specific coordinates
+     * Per-channel tables for the 256 possible input values:
+     * index = offset of the lower grid corner, fraction = position inside the cell
      */
-    getLUTColor(lut, x, y, z, size) {
-        const index = (z * size * size) + (y * size) + x;
-        return lut.data[Math.min(index, lut.data.length - 1)];
+    _prepareFastPath(lut) {
+        const size = lut.size;
+        const strides = [3, size * 3, size * size * 3];
+        const index = new Int32Array(768);
+        const fraction = new Float32Array(768);
+        const curve = new Float32Array(768);
+        const domainMin = lut.domainMin || [0, 0, 0];
+        const domainMax = lut.domainMax || [1, 1, 1];
+        const color = { r: 0, g: 0, b: 0 };
+        const channels = ['r', 'g', 'b'];
+
+        for (let v = 0; v < 256; v++) {
+            color.r = color.g = color.b = v / 255;
+            const shaped = lut.lut1D ? this.sampleLUT1D(lut.lut1D, color) : color;
+
+            channels.forEach((channel, c) => {
+                curve[c * 256 + v] = shaped[channel];
+                if (!size) return;
+
+                const position = this.normalizeToDomain(shaped[channel], domainMin[c], domainMax[c]) * (size - 1);
+                const cell = Math.min(Math.floor(position), size - 2);
+                index[c * 256 + v] = cell * strides[c];
+                fraction[c * 256 + v] = position - cell;
+            });
+        }
+
+        return { size, strides, index, fraction, curve };
     }
 
     /**
-     * Color mixing helper
+     * Transform one color (0-1 floats) through the LUT, blended with the original by strength
      */
-    mixColor(c1, c2, t) {
+    transformColor(lut, color, strength = 1.0, interpolation = 'tetrahedral') {
+        let lutColor = color;
+
+        if (lut.lut1D) {
+            lutColor = this.sampleLUT1D(lut.lut1D, lutColor);
+        }
+        if (lut.size) {
+            lutColor = this.sampleLUT3D(lut, lutColor, lut.size, interpolation);
+        }
+
         return {
-            r: this.mix(c1.r, c2.r, t),
-            g: this.mix(c1.g, c2.g, t),
-            b: this.mix(c1.b, c2.b, t)
+            r: this.mix(color.r, lutColor.r, strength),
+            g: this.mix(color.g, lutColor.g, strength),
+            b: this.mix(color.b, lutColor.b, strength)
         };
     }
 
+    // ===== Look export =====
+
+    /**
+     * Sample a color transform on a size³ grid (red fastest, like .cube)
+     */
+    bakeLUT(transform, size = 33) {
+        const data = new Float32Array(size * size * size * 3);
+        const step = 1 / (size - 1);
+        let index = 0;
+
+        for (let b = 0; b < size; b++) {
+            for (let g = 0; g < size; g++) {
+                for (let r = 0; r < size; r++) {
+                    const color = transform({ r: r * step, g: g * step, b: b * step });
+                    data[index++] = color.r;
+                    data[index++] = color.g;
+                    data[index++] = color.b;
+                }
+            }
+        }
+
+        return this._createLUT3D(size, data);
+    }
+
+    /**
+     * Write a 3D LUT as .cube text
+     */
+    serializeCUBE(lut, title = 'Fuji Grain Look') {
+        const format = (value) => value.toFixed(6);
+        const lines = [
+            `# Created with Fujifilm Grain Simulator`,
+            `TITLE "${title.replace(/"/g, '\'')}"`,
+            `LUT_3D_SIZE ${lut.size}`,
+            `DOMAIN_MIN 0.0 0.0 0.0`,
+            `DOMAIN_MAX 1.0 1.0 1.0`,
+            ''
+        ];
+
+        for (let i = 0; i < lut.data.length; i += 3) {
+            lines.push(`${format(lut.data[i])} ${format(lut.data[i + 1])} ${format(lut.data[i + 2])}`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Hald CLUT image of the given level (8 -> 512x512, 64³ grid).
+     * Without a transform this is the identity image for round-tripping through other editors.
+     */
+    createHaldImage(level = 8, transform = null) {
+        const size = level * level;
+        const width = level * level * level;
+        const pixels = new Uint8ClampedArray(width * width * 4);
+        const step = 1 / (size - 1);
+
+        for (let i = 0; i < size * size * size; i++) {
+            const input = {
+                r: (i % size) * step,
+                g: (Math.floor(i / size) % size) * step,
+                b: Math.floor(i / (size * size)) * step
+            };
+            const color = transform ? transform(input) : input;
+
+            pixels[i * 4]     = Math.round(color.r * 255);
+            pixels[i * 4 + 1] = Math.round(color.g * 255);
+            pixels[i * 4 + 2] = Math.round(color.b * 255);
+            pixels[i * 4 + 3] = 255;
+        }
+
+        return new ImageData(pixels, width, width);
+    }
+
+    /**
+     * Map a value from the LUT input domain to [0, 1]
+     */
+    normalizeToDomain(value, min, max) {
+        return Math.max(0, Math.min(1, (value - min) / (max - min)));
+    }
+
+    /**
+     * 1D LUT sampling (per channel) with linear interpolation
+     */
+    sampleLUT1D(lut1D, color) {
+        const result = {};
+
+        ['r', 'g', 'b'].forEach((channel, c) => {
+            result[channel] = this._sampleLUT1DChannel(lut1D, c, color[channel]);
+        });
+
+        return result;
+    }
+
+    /**
+     * One channel of sampleLUT1D without allocating a color object
+     */
+    _sampleLUT1DChannel(lut1D, c, value) {
+        const { size, data } = lut1D;
+        const domainMin = lut1D.domainMin || [0, 0, 0];
+        const domainMax = lut1D.domainMax || [1, 1, 1];
+
+        const x = this.normalizeToDomain(value, domainMin[c], domainMax[c]) * (size - 1);
+        const x0 = Math.min(Math.floor(x), size - 2);
+        return this.mix(data[x0 * 3 + c], data[(x0 + 1) * 3 + c], x - x0);
+    }
+
+    /**
+     * 3D LUT sampling of one float color, tetrahedral (default) or trilinear
+     */
+    sampleLUT3D(lut, color, size, interpolation = 'tetrahedral') {
+        const domainMin = lut.domainMin || [0, 0, 0];
+        const domainMax = lut.domainMax || [1, 1, 1];
+        const strides = [3, size * 3, size * size * 3];
+        const positions = [color.r, color.g, color.b].map((value, c) =>
+            this.normalizeToDomain(value, domainMin[c], domainMax[c]) * (size - 1)
+        );
+        const cells = positions.map(position => Math.min(Math.floor(position), size - 2));
+        const base = cells[0] * strides[0] + cells[1] * strides[1] + cells[2] * strides[2];
+        const out = new Float32Array(3);
+
+        const interpolate = interpolation === 'trilinear' ? this._interpolateTrilinear : this._interpolateTetrahedral;
+        interpolate(lut.data, base, strides,
+            positions[0] - cells[0], positions[1] - cells[1], positions[2] - cells[2], out);
+
+        return { r: out[0], g: out[1], b: out[2] };
+    }
+
+    /**
+     * Tetrahedral interpolation inside one grid cell: the cube is split into 6 tetrahedra
+     * along the neutral diagonal, so grays stay exactly neutral. Writes RGB into out.
+     */
+    _interpolateTetrahedral(table, base, strides, fr, fg, fb, out) {
+        const sr = strides[0];
+        const sg = strides[1];
+        const sb = strides[2];
+        const c111 = base + sr + sg + sb;
+        let w0, w1, w2, w3, c1, c2;
+
+        if (fr > fg) {
+            if (fg > fb) {
+                w0 = 1 - fr; w1 = fr - fg; w2 = fg - fb; w3 = fb;
+                c1 = base + sr; c2 = base + sr + sg;
+            } else if (fr > fb) {
+                w0 = 1 - fr; w1 = fr - fb; w2 = fb - fg; w3 = fg;
+                c1 = base + sr; c2 = base + sr + sb;
+            } else {
+                w0 = 1 - fb; w1 = fb - fr; w2 = fr - fg; w3 = fg;
+                c1 = base + sb; c2 = base + sr + sb;
+            }
+        } else {
+            if (fb > fg) {
+                w0 = 1 - fb; w1 = fb - fg; w2 = fg - fr; w3 = fr;
+                c1 = base + sb; c2 = base + sg + sb;
+            } else if (fb > fr) {
+                w0 = 1 - fg; w1 = fg - fb; w2 = fb - fr; w3 = fr;
+                c1 = base + sg; c2 = base + sg + sb;
+            } else {
+                w0 = 1 - fg; w1 = fg - fr; w2 = fr - fb; w3 = fb;
+                c1 = base + sg; c2 = base + sr + sg;
+            }
+        }
+
+        for (let c = 0; c < 3; c++) {
+            out[c] = w0 * table[base + c] + w1 * table[c1 + c] + w2 * table[c2 + c] + w3 * table[c111 + c];
+        }
+    }
+
+    /**
+     * Trilinear interpolation of the 8 cell corners, writes RGB into out
+     */
+    _interpolateTrilinear(table, base, strides, fr, fg, fb, out) {
+        const sr = strides[0];
+        const sg = strides[1];
+        const sb = strides[2];
+
+        for (let c = 0; c < 3; c++) {
+            const i = base + c;
+            const c00 = table[i] + (table[i + sr] - table[i]) * fr;
+            const c10 = table[i + sg] + (table[i + sg + sr] - table[i + sg]) * fr;
+            const c01 = table[i + sb] + (table[i + sb + sr] - table[i + sb]) * fr;
+            const c11 = table[i + sb + sg] + (table[i + sb + sg + sr] - table[i + sb + sg]) * fr;
+            const c0 = c00 + (c10 - c00) * fg;
+            const c1 = c01 + (c11 - c01) * fg;
+
+            out[c] = c0 + (c1 - c0) * fb;
+        }
+    }
+
     /**
      * Linear interpolation
      */
@@ -0,0 +1,138 @@
+/**
+ * Fujifilm Grain Simulator - Preset Manager Module
+ *
+ * @description Film-stock presets (LUT + grain settings) from the manifest plus user-saved presets
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class PresetManager {
+    constructor(store, legacyStorageKey = 'fujiGrain.userPresets') {
+        this.store = store;
+        this.legacyStorageKey = legacyStorageKey;
+        this.builtInPresets = [];
+        this.userPresets = [];
+    }
+
+    /**
+     * Preset field -> settings key
+     */
+    static get FIELD_MAP() {
+        return {
+            lut: 'selectedLUT',
+            lutStrength: 'lutStrength',
+            iso: 'iso',
+            strength: 'strength',
+            grainSize: 'grainSize',
+            grainMode: 'grainMode',
+            grainCorrelation: 'grainCorrelation',
+            grainRed: 'grainRed',
+            grainGreen: 'grainGreen',
+            grainBlue: 'grainBlue'
+        };
+    }
+
+    /**
+     * Use the "presets" section of luts/manifest.json
+     */
+    setBuiltInPresets(presets) {
+        this.builtInPresets = (presets || [])
+            .filter(preset => preset.id && preset.name)
+            .map(preset => ({ ...preset, source: 'builtin' }));
+
+        console.log('🎞️ Built-in presets loaded:', this.builtInPresets.length);
+    }
+
+    /**
+     * Load user presets from the settings store
+     */
+    async loadUserPresets() {
+        try {
+            await this._migrateLocalStorage();
+
+            const presets = await this.store.getPresets();
+            this.userPresets = presets
+                .map(preset => ({ ...preset, source: 'user' }))
+                .sort((a, b) => a.id.localeCompare(b.id));
+
+            console.log('🎞️ User presets loaded:', this.userPresets.length);
+        } catch (error) {
+            console.warn('⚠️ Failed to load user presets:', error);
+        }
+    }
+
+    getPresets() {
+        return [...this.builtInPresets, ...this.userPresets];
+    }
+
+    getPreset(presetId) {
+        return this.getPresets().find(preset => preset.id === presetId) || null;
+    }
+
+    /**
+     * Check whether a settings key is controlled by presets
+     */
+    isPresetKey(settingsKey) {
+        return Object.values(PresetManager.FIELD_MAP).includes(settingsKey);
+    }
+
+    /**
+     * Convert a preset to a partial settings object
+     */
+    toSettings(preset) {
+        const settings = {};
+
+        Object.entries(PresetManager.FIELD_MAP).forEach(([field, key]) => {
+            if (preset[field] !== undefined) {
+                settings[key] = preset[field];
+            }
+        });
+
+        return settings;
+    }
+
+    /**
+     * Save the current settings as a user preset
+     */
+    async saveUserPreset(name, settings) {
+        const preset = { id: `user_${Date.now()}`, name: name.trim(), source: 'user' };
+
+        Object.entries(PresetManager.FIELD_MAP).forEach(([field, key]) => {
+            if (settings[key] !== undefined) {
+                preset[field] = settings[key];
+            }
+        });
+
+        this.userPresets.push(preset);
+        await this.store.savePreset(preset);
+
+        console.log('💾 User preset saved:', preset);
+        return preset;
+    }
+
+    async deleteUserPreset(presetId) {
+        this.userPresets = this.userPresets.filter(preset => preset.id !== presetId);
+        await this.store.deletePreset(presetId);
+        console.log('🗑️ User preset deleted:', presetId);
+    }
+
+    /**
+     * Move presets saved by older versions (localStorage) into IndexedDB
+     */
+    async _migrateLocalStorage() {
+        if (!this.store.available || typeof localStorage === 'undefined') return;
+
+        const stored = JSON.parse(localStorage.getItem(this.legacyStorageKey) || '[]');
+        if (!Array.isArray(stored) || stored.length === 0) return;
+
+        for (const preset of stored) {
+            await this.store.savePreset({ ...preset, source: 'user' });
+        }
+
+        localStorage.removeItem(this.legacyStorageKey);
+        console.log('📦 Migrated user presets to IndexedDB:', stored.length);
+    }
+}
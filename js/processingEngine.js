@@ -0,0 +1,339 @@
+/**
+ * Fujifilm Grain Simulator - Processing Engine
+ *
+ * @description Runs the grain/LUT pipeline in a Web Worker with progress and cancellation, large images in tiles
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class ProcessingCancelledError extends Error {
+    constructor(message = 'Processing cancelled') {
+        super(message);
+        this.name = 'ProcessingCancelledError';
+    }
+}
+
+class ProcessingEngine {
+    constructor(pipeline, workerUrl = 'js/processingWorker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerReady = null;
+        this.workerSupported = typeof Worker !== 'undefined';
+
+        // Used when workers are unavailable (e.g. opening index.html via file://)
+        this.fallbackPipeline = pipeline;
+
+        this.currentJob = null;
+        this.currentRun = null;
+        this.nextJobId = 1;
+
+        // Tiles of at most tileSize x tileSize keep the memory per job bounded (16MB of pixels)
+        this.tileSize = 2048;
+    }
+
+    /**
+     * Check whether a job is currently running
+     */
+    isBusy() {
+        return this.currentJob !== null || this.currentRun !== null;
+    }
+
+    /**
+     * Process ImageData with the given settings and parsed LUT data.
+     * Only one job runs at a time; starting a new job cancels the previous one.
+     * onProgress receives whole percentages (0-100).
+     */
+    async process(imageData, settings, lut, onProgress = null) {
+        this.cancel();
+        return this._runJob(imageData, settings, lut, onProgress);
+    }
+
+    /**
+     * Process a canvas in place, tile by tile. Only one tile of pixels is out of the canvas
+     * at a time, so very large images (100MP) do not need several full-size buffers.
+     * Tiles are seamless: color stages are per pixel and grain uses frame coordinates (settings.region).
+     * source (optional, see createCanvasSource) supplies float tiles of a higher bit depth original
+     * of the same size, e.g. a RAW file, used in high precision mode.
+     */
+    async processCanvas(canvas, settings, lut, onProgress = null, source = null) {
+        const ctx = canvas.getContext('2d');
+        const readFloat = Boolean(source && settings.highPrecision);
+
+        await this._processTiles(canvas.width, canvas.height, settings, lut, onProgress,
+            (tile) => readFloat ? source.readTile(tile) : ctx.getImageData(tile.x, tile.y, tile.width, tile.height),
+            (tile, result, region) => {
+                // Float tiles come back as float, quantize them here
+                const imageData = ImagePipeline.isFloatImage(result)
+                    ? ImagePipeline.toImageData(result, settings.dither !== false, region)
+                    : result;
+                ctx.putImageData(imageData, tile.x, tile.y);
+            }
+        );
+
+        return canvas;
+    }
+
+    /**
+     * Process in high precision for 16-bit export, handing the result over band by band (one row of tiles)
+     * from top to bottom: writeRows(data, rows) gets rows full-width rows as a Uint16Array RGB that is reused
+     * for the next band. source provides float tiles (createCanvasSource, RawDecoder.createSource or
+     * ImageDecoder.createSource).
+     */
+    async processToRows(source, settings, lut, writeRows, onProgress = null) {
+        const { width, height } = source;
+        const band = new Uint16Array(width * Math.min(this.tileSize, height) * 3);
+
+        await this._processTiles(width, height, { ...settings, highPrecision: true }, lut, onProgress,
+            (tile) => source.readTile(tile),
+            async (tile, result) => {
+                const data = result.data;
+                for (let y = 0; y < tile.height; y++) {
+                    let target = (y * width + tile.x) * 3;
+                    for (let i = y * tile.width * 4, end = i + tile.width * 4; i < end; i += 4, target += 3) {
+                        band[target] = Math.round(Math.max(0, Math.min(1, data[i])) * 65535);
+                        band[target + 1] = Math.round(Math.max(0, Math.min(1, data[i + 1])) * 65535);
+                        band[target + 2] = Math.round(Math.max(0, Math.min(1, data[i + 2])) * 65535);
+                    }
+                }
+
+                // The last tile of a row completes the band
+                if (tile.x + tile.width === width) {
+                    await writeRows(band.subarray(0, tile.height * width * 3), tile.height);
+                }
+            }
+        );
+    }
+
+    /**
+     * Float tile source of an 8-bit canvas
+     */
+    static createCanvasSource(canvas) {
+        const ctx = canvas.getContext('2d');
+
+        return {
+            width: canvas.width,
+            height: canvas.height,
+            readTile: (tile) => ImagePipeline.toFloatImage(ctx.getImageData(tile.x, tile.y, tile.width, tile.height))
+        };
+    }
+
+    /**
+     * Run the pipeline tile by tile (row by row, see getTiles): readTile(tile) gives the input,
+     * writeTile(tile, result, region) stores it and may return a promise
+     */
+    async _processTiles(width, height, settings, lut, onProgress, readTile, writeTile) {
+        this.cancel();
+
+        const run = { cancelled: false };
+        this.currentRun = run;
+
+        const tiles = this.getTiles(width, height);
+        let lastPercent = -1;
+
+        try {
+            for (const [index, tile] of tiles.entries()) {
+                if (run.cancelled) {
+                    throw new ProcessingCancelledError();
+                }
+
+                const region = { x: tile.x, y: tile.y, width, height };
+                const tileSettings = { ...settings, region };
+
+                const result = await this._runJob(readTile(tile), tileSettings, lut, (percent) => {
+                    const total = Math.floor((index + percent / 100) / tiles.length * 100);
+                    if (onProgress && total !== lastPercent) {
+                        lastPercent = total;
+                        onProgress(total);
+                    }
+                });
+
+                await writeTile(tile, result, region);
+            }
+
+            if (tiles.length > 1) {
+                console.log(`🧩 Processed ${width}x${height} in ${tiles.length} tiles`);
+            }
+
+        } finally {
+            if (this.currentRun === run) {
+                this.currentRun = null;
+            }
+        }
+    }
+
+    /**
+     * Split an image into tiles of at most tileSize x tileSize, row by row
+     */
+    getTiles(width, height) {
+        const tiles = [];
+
+        for (let y = 0; y < height; y += this.tileSize) {
+            for (let x = 0; x < width; x += this.tileSize) {
+                tiles.push({
+                    x,
+                    y,
+                    width: Math.min(this.tileSize, width - x),
+                    height: Math.min(this.tileSize, height - y)
+                });
+            }
+        }
+
+        return tiles;
+    }
+
+    async _runJob(imageData, settings, lut, onProgress) {
+        const job = { jobId: this.nextJobId++, onProgress, cancelled: false };
+        this.currentJob = job;
+
+        try {
+            const useWorker = await this._ensureWorker();
+            if (job.cancelled) {
+                throw new ProcessingCancelledError();
+            }
+
+            return useWorker
+                ? await this._runInWorker(job, imageData, settings, lut)
+                : await this._runOnMainThread(job, imageData, settings, lut);
+        } finally {
+            if (this.currentJob === job) {
+                this.currentJob = null;
+            }
+        }
+    }
+
+    /**
+     * Cancel the running job (if any)
+     */
+    cancel() {
+        if (this.currentRun) {
+            this.currentRun.cancelled = true;
+            this.currentRun = null;
+        }
+
+        const job = this.currentJob;
+        if (!job) return;
+
+        job.cancelled = true;
+        this.currentJob = null;
+
+        if (job.inWorker) {
+            // The worker is busy in a tight loop, terminating it is the only way to stop it
+            this._resetWorker();
+            this._ensureWorker();
+        }
+
+        if (job.reject) {
+            job.reject(new ProcessingCancelledError());
+        }
+
+        console.log('⏹️ Processing job cancelled:', job.jobId);
+    }
+
+    _ensureWorker() {
+        if (!this.workerSupported) {
+            return Promise.resolve(false);
+        }
+
+        if (this.workerReady) {
+            return this.workerReady;
+        }
+
+        this.workerReady = new Promise((resolve) => {
+            let worker;
+
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                console.warn('⚠️ Web Worker unavailable, processing on main thread:', error.message);
+                this.workerSupported = false;
+                resolve(false);
+                return;
+            }
+
+            // Worker announces itself once its scripts are imported
+            worker.onmessage = (e) => {
+                if (e.data.type !== 'ready') return;
+
+                this.worker = worker;
+                worker.onmessage = (event) => this._handleMessage(event.data);
+                worker.onerror = (event) => this._handleWorkerError(event);
+                console.log('🧵 Processing worker ready');
+                resolve(true);
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                console.warn('⚠️ Processing worker failed to start, using main thread:', event.message);
+                worker.terminate();
+                this.workerSupported = false;
+                resolve(false);
+            };
+        });
+
+        return this.workerReady;
+    }
+
+    _resetWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+        this.worker = null;
+        this.workerReady = null;
+    }
+
+    _runInWorker(job, imageData, settings, lut) {
+        return new Promise((resolve, reject) => {
+            Object.assign(job, { resolve, reject, inWorker: true });
+
+            // Transfer the pixel buffer to avoid copying large images
+            this.worker.postMessage(
+                { type: 'process', jobId: job.jobId, imageData, settings, lut },
+                [imageData.data.buffer]
+            );
+        });
+    }
+
+    async _runOnMainThread(job, imageData, settings, lut) {
+        // Give the browser a moment to render the loading UI before blocking
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        if (job.cancelled) {
+            throw new ProcessingCancelledError();
+        }
+
+        return this.fallbackPipeline.run(imageData, settings, lut, job.onProgress);
+    }
+
+    _handleMessage(message) {
+        const job = this.currentJob;
+
+        // Ignore late messages from cancelled jobs
+        if (!job || message.jobId !== job.jobId) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (job.onProgress) job.onProgress(message.progress);
+                break;
+            case 'result':
+                job.resolve(message.imageData);
+                break;
+            case 'error':
+                job.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    _handleWorkerError(event) {
+        console.error('❌ Processing worker error:', event.message);
+
+        const job = this.currentJob;
+        this._resetWorker();
+
+        if (job && job.reject) {
+            job.reject(new Error(event.message || 'Processing worker crashed'));
+        }
+    }
+}
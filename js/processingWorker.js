@@ -0,0 +1,33 @@
+/**
+ * Fujifilm Grain Simulator - Processing Worker
+ *
+ * @description Background thread for grain and LUT processing
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+importScripts('seededRandom.js', 'grainProcessor.js', 'lutProcessor.js', 'imagePipeline.js');
+
+const pipeline = new ImagePipeline(new GrainProcessor(), new LUTProcessor());
+
+self.postMessage({ type: 'ready' });
+
+self.onmessage = (e) => {
+    const { type, jobId, imageData, settings, lut } = e.data;
+    if (type !== 'process') return;
+
+    try {
+        const result = pipeline.run(imageData, settings, lut, (progress) => {
+            self.postMessage({ type: 'progress', jobId, progress });
+        });
+
+        // Transfer buffer back instead of copying it
+        self.postMessage({ type: 'result', jobId, imageData: result }, [result.data.buffer]);
+
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message });
+    }
+};
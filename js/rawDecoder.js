@@ -0,0 +1,431 @@
+/**
+ * Fujifilm Grain Simulator - RAW Decoder Module
+ *
+ * @description Local RAF/DNG decoding (dcraw compiled to JavaScript) into linear light, developed with white balance and exposure
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class RawDecoder {
+    constructor(workerUrl = 'js/rawWorker.js') {
+        this.workerUrl = workerUrl;
+        this.worker = null;
+        this.workerReady = null;
+        this.workerSupported = typeof Worker !== 'undefined';
+        this.libraryLoaded = null;
+        this.pending = new Map();
+        this.nextJobId = 1;
+
+        // Development is done in strips so no second full-size buffer is needed
+        this.stripHeight = 256;
+    }
+
+    static get LIBRARY_URL() {
+        return 'https://cdn.jsdelivr.net/npm/dcraw@1.0.3/dist/dcraw.js';
+    }
+
+    /**
+     * Supported RAW containers by file extension (browsers report no MIME type for most RAW files)
+     */
+    static get FORMATS() {
+        return {
+            raf: 'Fujifilm RAF',
+            dng: 'Adobe DNG'
+        };
+    }
+
+    static isRawFile(file) {
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+        return Object.prototype.hasOwnProperty.call(RawDecoder.FORMATS, extension);
+    }
+
+    /**
+     * Run dcraw on the file bytes. 'identify' returns the metadata text, 'decode' a 16-bit linear PPM
+     * with the camera white balance applied (sRGB primaries, no gamma, no auto brightening).
+     * Shared by the worker and the main-thread fallback.
+     */
+    static runDcraw(mode, bytes) {
+        if (mode === 'identify') {
+            return dcraw(bytes, { verbose: true, identify: true });
+        }
+
+        const output = dcraw(bytes, { use16BitLinearMode: true, useCameraWhiteBalance: true });
+        if (!(output instanceof Uint8Array)) {
+            throw new Error('RAW file could not be decoded');
+        }
+        return output;
+    }
+
+    /**
+     * Decode a RAW file into { width, height, data (Uint16Array RGB, linear), metadata }.
+     * beforeDecode(metadata) runs after identification and may throw to skip the (slow) decode.
+     */
+    async decode(file, beforeDecode = null) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+
+        const metadata = RawDecoder.parseMetadata(await this._run('identify', bytes));
+        if (!metadata.width || !metadata.height) {
+            throw new Error(`Unsupported or corrupt RAW file: ${file.name}`);
+        }
+
+        if (beforeDecode) beforeDecode(metadata);
+
+        console.log('📷 Decoding RAW:', metadata.camera || file.name, `${metadata.width}x${metadata.height}`);
+        const image = RawDecoder.parsePPM(await this._run('decode', bytes));
+
+        return { ...image, metadata };
+    }
+
+    /**
+     * Bytes of the decoded linear data (16-bit RGB), on top of the canvases
+     */
+    static estimateMemory(metadata) {
+        return metadata.width * metadata.height * 3 * 2;
+    }
+
+    /**
+     * Parse the verbose identify output of dcraw
+     */
+    static parseMetadata(text) {
+        const fields = {};
+        String(text || '').split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                fields[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            }
+        });
+
+        const numbers = (value) => (value || '').split(/\s+/).map(parseFloat).filter(Number.isFinite);
+        const size = (fields['Output size'] || '').match(/(\d+)\s*x\s*(\d+)/);
+        const shutter = (fields['Shutter'] || '').match(/^(1\/)?([\d.]+)/);
+
+        return {
+            camera: fields['Camera'] || '',
+            date: fields['Timestamp'] || '',
+            iso: parseFloat(fields['ISO speed']) || 0,
+            shutterSpeed: shutter ? (shutter[1] ? 1 / parseFloat(shutter[2]) : parseFloat(shutter[2])) : 0,
+            aperture: parseFloat((fields['Aperture'] || '').replace('f/', '')) || 0,
+            focalLength: parseFloat(fields['Focal length']) || 0,
+            width: size ? parseInt(size[1], 10) : 0,
+            height: size ? parseInt(size[2], 10) : 0,
+            cameraMultipliers: numbers(fields['Camera multipliers']).slice(0, 3),
+            daylightMultipliers: numbers(fields['Daylight multipliers']).slice(0, 3)
+        };
+    }
+
+    /**
+     * Binary PPM (P6) to RGB samples, 16-bit files are big-endian
+     */
+    static parsePPM(bytes) {
+        // Header: magic, width, height, maxval separated by whitespace, then one whitespace byte
+        const tokens = [];
+        let offset = 0;
+        while (tokens.length < 4 && offset < bytes.length) {
+            while (/\s/.test(String.fromCharCode(bytes[offset]))) offset++;
+            let token = '';
+            while (offset < bytes.length && !/\s/.test(String.fromCharCode(bytes[offset]))) {
+                token += String.fromCharCode(bytes[offset++]);
+            }
+            tokens.push(token);
+        }
+        offset++;
+
+        const [magic, width, height, maxValue] = [tokens[0], ...tokens.slice(1).map(Number)];
+        if (magic !== 'P6' || !width || !height) {
+            throw new Error('Invalid PPM data from RAW decoder');
+        }
+
+        const count = width * height * 3;
+        const data = new Uint16Array(count);
+
+        if (maxValue > 255) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset + offset, count * 2);
+            for (let i = 0; i < count; i++) {
+                data[i] = view.getUint16(i * 2);
+            }
+        } else {
+            // 8-bit output, scale to the 16-bit range
+            for (let i = 0; i < count; i++) {
+                data[i] = bytes[offset + i] * 257;
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    /**
+     * Starting point for the development controls
+     */
+    static getDefaultAdjustments(raw) {
+        return {
+            whiteBalance: 'asShot',
+            exposure: RawDecoder.getAutoExposure(raw, RawDecoder.getWhiteBalanceGains(raw, 'asShot'))
+        };
+    }
+
+    /**
+     * Per-channel gains on top of the as-shot decode
+     */
+    static getWhiteBalanceGains(raw, mode) {
+        const { cameraMultipliers: camera, daylightMultipliers: daylight } = raw.metadata;
+
+        if (mode === 'daylight' && camera.length === 3 && daylight.length === 3 && camera.every(value => value > 0)) {
+            const gains = [0, 1, 2].map(c => (daylight[c] / daylight[1]) / (camera[c] / camera[1]));
+            return gains.map(gain => gain / gains[1]);
+        }
+
+        if (mode === 'auto') {
+            // Gray world on a sample of the image, clipped pixels are ignored
+            const sums = [0, 0, 0];
+            const step = RawDecoder._getSampleStep(raw) * 3;
+            for (let i = 0; i < raw.data.length; i += step) {
+                const r = raw.data[i], g = raw.data[i + 1], b = raw.data[i + 2];
+                if (r >= 65000 || g >= 65000 || b >= 65000) continue;
+                sums[0] += r;
+                sums[1] += g;
+                sums[2] += b;
+            }
+            if (sums.every(sum => sum > 0)) {
+                return sums.map(sum => sums[1] / sum);
+            }
+        }
+
+        return [1, 1, 1];
+    }
+
+    /**
+     * Exposure in EV that maps the 99th percentile to white, like dcraw's default brightening
+     */
+    static getAutoExposure(raw, gains = [1, 1, 1]) {
+        const bins = 4096;
+        const histogram = new Uint32Array(bins);
+        const step = RawDecoder._getSampleStep(raw) * 3;
+        let samples = 0;
+
+        for (let i = 0; i < raw.data.length; i += step) {
+            const value = Math.max(raw.data[i] * gains[0], raw.data[i + 1] * gains[1], raw.data[i + 2] * gains[2]);
+            histogram[Math.min(bins - 1, Math.floor(value / 65536 * bins))]++;
+            samples++;
+        }
+
+        let white = bins - 1;
+        for (let total = 0; white > 1; white--) {
+            if ((total += histogram[white]) > samples * 0.01) break;
+        }
+
+        const exposure = Math.log2(bins / (white + 1));
+        return Math.round(Math.max(-2, Math.min(4, exposure)) * 10) / 10;
+    }
+
+    /**
+     * Develop linear RAW data into an 8-bit sRGB canvas with white balance and exposure
+     */
+    develop(raw, adjustments, canvas = document.createElement('canvas')) {
+        const tables = RawDecoder._createTables(raw, adjustments, Uint8ClampedArray, 255);
+
+        canvas.width = raw.width;
+        canvas.height = raw.height;
+        const ctx = canvas.getContext('2d');
+
+        for (let top = 0; top < raw.height; top += this.stripHeight) {
+            const rows = Math.min(this.stripHeight, raw.height - top);
+            const strip = ctx.createImageData(raw.width, rows);
+            const pixels = strip.data;
+            let source = top * raw.width * 3;
+
+            for (let i = 0; i < pixels.length; i += 4, source += 3) {
+                pixels[i] = tables[0][raw.data[source]];
+                pixels[i + 1] = tables[1][raw.data[source + 1]];
+                pixels[i + 2] = tables[2][raw.data[source + 2]];
+                pixels[i + 3] = 255;
+            }
+
+            ctx.putImageData(strip, 0, top);
+        }
+
+        return canvas;
+    }
+
+    /**
+     * Float tile source (see ProcessingEngine) developed like develop(), but without
+     * rounding to 8 bits, for the high precision pipeline
+     */
+    createSource(raw, adjustments) {
+        const tables = RawDecoder._createTables(raw, adjustments, Float32Array, 1);
+
+        return {
+            width: raw.width,
+            height: raw.height,
+            readTile: (tile) => {
+                const data = new Float32Array(tile.width * tile.height * 4);
+
+                for (let y = 0, i = 0; y < tile.height; y++) {
+                    let source = ((tile.y + y) * raw.width + tile.x) * 3;
+                    for (let x = 0; x < tile.width; x++, i += 4, source += 3) {
+                        data[i] = tables[0][raw.data[source]];
+                        data[i + 1] = tables[1][raw.data[source + 1]];
+                        data[i + 2] = tables[2][raw.data[source + 2]];
+                        data[i + 3] = 1;
+                    }
+                }
+
+                return { width: tile.width, height: tile.height, data };
+            }
+        };
+    }
+
+    /**
+     * One lookup table per channel: 16-bit linear -> sRGB encoded, scaled to maxValue
+     */
+    static _createTables(raw, adjustments, TableType, maxValue) {
+        const gains = RawDecoder.getWhiteBalanceGains(raw, adjustments.whiteBalance);
+        const scale = Math.pow(2, adjustments.exposure);
+
+        return gains.map(gain => {
+            const table = new TableType(65536);
+            const factor = gain * scale / 65535;
+            for (let value = 0; value < 65536; value++) {
+                table[value] = RawDecoder._encodeSRGB(Math.min(1, value * factor)) * maxValue;
+            }
+            return table;
+        });
+    }
+
+    /**
+     * EXIF-like summary (same shape as ExifReader.getExifData) from the RAW metadata
+     */
+    static getExifData(metadata) {
+        const exifData = {
+            iso: metadata.iso,
+            aperture: metadata.aperture,
+            shutterSpeed: metadata.shutterSpeed,
+            focalLength: metadata.focalLength,
+            camera: metadata.camera,
+            date: metadata.date
+        };
+
+        Object.keys(exifData).forEach(key => !exifData[key] && delete exifData[key]);
+        return Object.keys(exifData).length > 0 ? exifData : null;
+    }
+
+    static _encodeSRGB(value) {
+        return value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+    }
+
+    /**
+     * Pixel stride that keeps statistics at roughly one million samples
+     */
+    static _getSampleStep(raw) {
+        return Math.max(1, Math.floor(raw.width * raw.height / 1000000));
+    }
+
+    async _run(mode, bytes) {
+        if (await this._ensureWorker()) {
+            return new Promise((resolve, reject) => {
+                const jobId = this.nextJobId++;
+                this.pending.set(jobId, { resolve, reject });
+
+                // Copy, the file bytes are needed again for the decode step
+                this.worker.postMessage({ type: mode, jobId, bytes });
+            });
+        }
+
+        await this._loadLibrary();
+
+        // Give the browser a moment to render the loading UI before blocking
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return RawDecoder.runDcraw(mode, bytes);
+    }
+
+    _ensureWorker() {
+        if (!this.workerSupported) {
+            return Promise.resolve(false);
+        }
+
+        if (this.workerReady) {
+            return this.workerReady;
+        }
+
+        this.workerReady = new Promise((resolve) => {
+            let worker;
+
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                console.warn('⚠️ RAW worker unavailable, decoding on main thread:', error.message);
+                this.workerSupported = false;
+                resolve(false);
+                return;
+            }
+
+            // Worker announces itself once the decoder is loaded
+            worker.onmessage = (e) => {
+                if (e.data.type !== 'ready') return;
+
+                this.worker = worker;
+                worker.onmessage = (event) => this._handleMessage(event.data);
+                worker.onerror = (event) => this._handleWorkerError(event);
+                console.log('🧵 RAW worker ready');
+                resolve(true);
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                console.warn('⚠️ RAW worker failed to start, using main thread:', event.message);
+                worker.terminate();
+                this.workerSupported = false;
+                resolve(false);
+            };
+        });
+
+        return this.workerReady;
+    }
+
+    _handleMessage(message) {
+        const job = this.pending.get(message.jobId);
+        if (!job) return;
+
+        this.pending.delete(message.jobId);
+        if (message.type === 'error') {
+            job.reject(new Error(message.message));
+        } else {
+            job.resolve(message.result);
+        }
+    }
+
+    _handleWorkerError(event) {
+        console.error('❌ RAW worker error:', event.message);
+
+        this.worker.terminate();
+        this.worker = null;
+        this.workerReady = null;
+
+        // Out of memory in the decoder usually ends up here
+        this.pending.forEach(job => job.reject(new Error(event.message || 'RAW decoder crashed')));
+        this.pending.clear();
+    }
+
+    _loadLibrary() {
+        if (typeof dcraw === 'function') {
+            return Promise.resolve();
+        }
+
+        if (!this.libraryLoaded) {
+            this.libraryLoaded = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = RawDecoder.LIBRARY_URL;
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    this.libraryLoaded = null;
+                    reject(new Error('Failed to load the RAW decoder'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+
+        return this.libraryLoaded;
+    }
+}
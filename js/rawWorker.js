@@ -0,0 +1,30 @@
+/**
+ * Fujifilm Grain Simulator - RAW Worker
+ *
+ * @description Background thread for RAW identification and decoding
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+importScripts('rawDecoder.js');
+importScripts(RawDecoder.LIBRARY_URL);
+
+self.postMessage({ type: 'ready' });
+
+self.onmessage = (e) => {
+    const { type, jobId, bytes } = e.data;
+    if (type !== 'identify' && type !== 'decode') return;
+
+    try {
+        const result = RawDecoder.runDcraw(type, bytes);
+
+        // Transfer decoded pixels back instead of copying them
+        self.postMessage({ type: 'result', jobId, result }, result instanceof Uint8Array ? [result.buffer] : []);
+
+    } catch (error) {
+        self.postMessage({ type: 'error', jobId, message: error.message || String(error) });
+    }
+};
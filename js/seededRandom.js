@@ -0,0 +1,54 @@
+/**
+ * Fujifilm Grain Simulator - Seeded Random Module
+ *
+ * @description Deterministic pseudo random generator so grain can be reproduced from a seed
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class SeededRandom {
+    constructor(seed = 0) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * Next value in [0, 1) - Mulberry32, small and fast with good distribution
+     */
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Stateless hash of integer grid coordinates to [0, 1)
+     */
+    static hash2D(x, y, seed) {
+        let h = (seed ^ Math.imul(x | 0, 0x27D4EB2D) ^ Math.imul(y | 0, 0x165667B1)) >>> 0;
+        h = Math.imul(h ^ (h >>> 15), 0x85EBCA6B);
+        h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Fresh random seed for the "re-roll" action
+     */
+    static randomSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Convert user input to an unsigned 32-bit seed
+     */
+    static normalizeSeed(value) {
+        const seed = parseInt(value, 10);
+        return Number.isFinite(seed) ? seed >>> 0 : 0;
+    }
+}
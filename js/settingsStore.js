@@ -0,0 +1,126 @@
+/**
+ * Fujifilm Grain Simulator - Settings Store Module
+ *
+ * @description Local IndexedDB persistence for last-used settings, uploaded LUTs and user presets
+ * @developer krafta.
+ * @portfolio https://www.facebook.com/krafta.visio
+ * @github https://github.com/krafta-visio
+ * @version 1.0.0
+ * @created 2025
+ */
+
+class SettingsStore {
+    constructor(dbName = 'FujiGrainSimulator', version = 1) {
+        this.dbName = dbName;
+        this.version = version;
+        this.available = typeof indexedDB !== 'undefined';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open database (singleton), resolves null when IndexedDB is unavailable
+     */
+    open() {
+        if (!this.available) {
+            return Promise.resolve(null);
+        }
+
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+                if (!db.objectStoreNames.contains('luts')) db.createObjectStore('luts', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('presets')) db.createObjectStore('presets', { keyPath: 'id' });
+            };
+
+            request.onsuccess = () => {
+                console.log('💾 Settings store ready');
+                resolve(request.result);
+            };
+
+            // Private browsing or blocked storage - keep working without persistence
+            request.onerror = () => {
+                console.warn('⚠️ IndexedDB unavailable, settings will not persist:', request.error);
+                this.available = false;
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    // ===== Last-used settings =====
+
+    async getSettings() {
+        return this._run('settings', 'readonly', store => store.get('last'));
+    }
+
+    async saveSettings(state) {
+        return this._run('settings', 'readwrite', store => store.put(state, 'last'));
+    }
+
+    // ===== Uploaded LUTs =====
+
+    async getLUTs() {
+        const luts = await this._run('luts', 'readonly', store => store.getAll());
+        return (luts || []).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    async getLUT(lutId) {
+        return this._run('luts', 'readonly', store => store.get(lutId));
+    }
+
+    async saveLUT(record) {
+        return this._run('luts', 'readwrite', store => store.put(record));
+    }
+
+    async renameLUT(lutId, name) {
+        const record = await this.getLUT(lutId);
+        if (!record) return null;
+
+        record.name = name;
+        await this.saveLUT(record);
+        return record;
+    }
+
+    async deleteLUT(lutId) {
+        return this._run('luts', 'readwrite', store => store.delete(lutId));
+    }
+
+    // ===== User presets =====
+
+    async getPresets() {
+        return (await this._run('presets', 'readonly', store => store.getAll())) || [];
+    }
+
+    async savePreset(preset) {
+        return this._run('presets', 'readwrite', store => store.put(preset));
+    }
+
+    async deletePreset(presetId) {
+        return this._run('presets', 'readwrite', store => store.delete(presetId));
+    }
+
+    /**
+     * Run a single request in its own transaction
+     */
+    async _run(storeName, mode, createRequest) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = createRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}